@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+'use strict';
+
+const { CommandLine, GraphQLFileLoader } = require('..');
+
+const createLoader = (options) =>
+  new GraphQLFileLoader({ cacheDirectory: process.env.GRAPHQL_IMPORT_CACHE_DIR, ...options });
+const loader = createLoader();
+
+new CommandLine(loader, { createLoader }).run(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,50 @@
+'use strict';
+
+const path = require('path');
+const { GraphQLFileLoader, GraphQLModuleCompiler } = require('./index');
+
+/**
+ * An esbuild plugin for graphql files, which resolves their imports and watches every imported
+ * file.
+ * @param {*} options `extensions` of the files to compile, `output`, 'sdl' or 'document',
+ * `collisions` and the options of GraphQLFileLoader
+ * @returns
+ */
+module.exports = function graphqlImport({
+  extensions = ['.graphql', '.gql'],
+  output,
+  collisions,
+  ...loaderOptions
+} = {}) {
+  const filter = new RegExp(
+    `(${extensions.map((extension) => extension.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})$`,
+  );
+
+  return {
+    name: 'graphql-import',
+    setup(build) {
+      const compiler = new GraphQLModuleCompiler(new GraphQLFileLoader(loaderOptions), {
+        output,
+        collisions,
+      });
+
+      //esbuild doesn't tell which files changed, so each rebuild reads them all again
+      build.onStart(() => compiler.reset());
+
+      build.onLoad({ filter }, async (args) => {
+        const { code, files, error } = await compiler.compile(args.path);
+
+        if (error) {
+          return { errors: [{ text: error.message, detail: error }], watchFiles: files };
+        }
+
+        return {
+          contents: code,
+          loader: 'js',
+          resolveDir: path.dirname(args.path),
+          watchFiles: files,
+        };
+      });
+    },
+  };
+};
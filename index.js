@@ -2,76 +2,342 @@
 
 const graphql = require('graphql');
 const path = require('path');
-const glob = require('glob-promise');
+const { hasMagic } = require('glob');
 const { CachedFileLoader } = require('./lib/CachedFileLoader');
 const { CachedGraphqlParser } = require('./lib/CachedGraphqlParser');
 const { DocumentDefinitionFilter } = require('./lib/DocumentDefinitionFilter');
+const { DefinitionCollisionResolver } = require('./lib/DefinitionCollisionResolver');
+const { SourceMapBuilder } = require('./lib/SourceMapBuilder');
+const { GraphQLImportError } = require('./lib/GraphQLImportError');
+const { ImportWatcher } = require('./lib/ImportWatcher');
+const { CommandLine } = require('./lib/CommandLine');
+const { ImportPathResolver } = require('./lib/ImportPathResolver');
+const { DiskSourceProvider } = require('./lib/DiskSourceProvider');
+const { MemorySourceProvider } = require('./lib/MemorySourceProvider');
+const { ImportGraph } = require('./lib/ImportGraph');
+const { PersistentCache } = require('./lib/PersistentCache');
+const { ImportStatementParser } = require('./lib/ImportStatementParser');
+const { GraphQLModuleCompiler } = require('./lib/GraphQLModuleCompiler');
+const { GitSourceProvider } = require('./lib/GitSourceProvider');
+const { SchemaDiff } = require('./lib/SchemaDiff');
+const { ImportLinter } = require('./lib/ImportLinter');
+
+const GRAPHQL_EXTENSIONS = ['.graphql', '.graphqls', '.gql'];
 
 /**
  * Load a graphql file and process imports
  */
 class GraphQLFileLoader {
-  constructor() {
-    this._fileLoader = new CachedFileLoader();
-    this._graphqlParser = new CachedGraphqlParser();
+  /**
+   * @param {*} options `paths` maps tsconfig-style aliases like `~schema/*` to substitutions
+   * relative to `baseUrl`. `sourceProvider` reads, finds and watches files, from disk by default.
+   * `cacheDirectory` keeps parsed documents and dependency trees on disk across processes.
+   * `concurrency` is the most files read at once.
+   */
+  constructor({
+    paths,
+    baseUrl,
+    sourceProvider = new DiskSourceProvider(),
+    cacheDirectory,
+    concurrency,
+  } = {}) {
+    this._sourceProvider = sourceProvider;
+    this._fileLoader = new CachedFileLoader(sourceProvider, { concurrency });
+    this._persistentCache = cacheDirectory ? new PersistentCache(cacheDirectory) : undefined;
+    this._graphqlParser = new CachedGraphqlParser(this._persistentCache);
     this._definitionFilter = new DocumentDefinitionFilter();
+    this._pathResolver = new ImportPathResolver({
+      paths,
+      baseUrl,
+      exists: (fileName) => sourceProvider.exists(fileName),
+      read: sourceProvider.readSync ? (fileName) => sourceProvider.readSync(fileName) : null,
+    });
+    this._importStatements = new Map();
+    this._exportedNames = new Map();
+    //Dependency trees depend on how imports are resolved as well as on the files in them
+    this._resolutionKey = JSON.stringify({ paths, baseUrl: baseUrl || process.cwd() });
+  }
+  get sourceProvider() {
+    return this._sourceProvider;
   }
   /**
    * Parse #import statements in the given file contents
    * @param {*} filePath the path of the file from which to build relative paths from
    * @param {*} fileContents the contents of the file
+   * @param {*} pathResolver resolves the path in each statement to a file name
+   * @returns each import's `types`, `fileName`, the `specifier` it was resolved from and the
+   * raw `statement` it came from, located by its `line`, `column`, `endLine` and `endColumn` and
+   * its `start` and `end` offsets. Types imported `as` another name are in `aliases`, and
+   * `* as Name` sets `namespace`.
+   */
+  static parseImportStatements(filePath, fileContents, pathResolver = new ImportPathResolver()) {
+    return ImportStatementParser.parse(filePath, fileContents, pathResolver);
+  }
+  /**
+   * Whether a statement renames what it imports, so it has to be loaded on its own
+   * @param {*} statement
+   * @returns
+   */
+  static isRenamingImport(statement) {
+    return !!statement.namespace || Object.keys(statement.aliases).length > 0;
+  }
+  /**
+   * Parses and caches the import statements of a file
+   * @param {*} fileName
+   * @param {*} fileContents
    * @returns
    */
-  static parseImportStatements(filePath, fileContents) {
-    const basePath = path.dirname(filePath);
+  getImportStatements(fileName, fileContents) {
+    if (!this._importStatements.has(fileName)) {
+      this._importStatements.set(
+        fileName,
+        GraphQLFileLoader.parseImportStatements(fileName, fileContents, this._pathResolver),
+      );
+    }
+    return this._importStatements.get(fileName);
+  }
+  /**
+   * Parses and caches the names a file exports with #export statements
+   * @param {*} fileName
+   * @param {*} fileContents
+   * @returns the exported names, or undefined if the file has no export statements and every
+   * name in it can be imported
+   */
+  getExportedNames(fileName, fileContents) {
+    if (!this._exportedNames.has(fileName)) {
+      const statements = ImportStatementParser.parseExports(fileName, fileContents);
 
-    const imports = [];
+      this._exportedNames.set(
+        fileName,
+        statements.length ? new Set(statements.flatMap(({ names }) => names)) : undefined,
+      );
+    }
+    return this._exportedNames.get(fileName);
+  }
+  /**
+   * Runs a loading generator, reading each file name it yields asynchronously. A yielded list of
+   * file names is read concurrently.
+   * @param {*} generator
+   * @returns
+   */
+  async runAsync(generator) {
+    let step = generator.next();
 
-    for (const line of fileContents.split(/\r?\n/).map((l) => l.trim())) {
-      if (!line.startsWith('# import') && !line.startsWith('#import')) {
+    while (!step.done) {
+      if (Array.isArray(step.value)) {
+        step = generator.next(
+          await Promise.all(
+            step.value.map((fileName) =>
+              this._fileLoader.loadFile(fileName).then(
+                (contents) => ({ contents }),
+                (error) => ({ error }),
+              ),
+            ),
+          ),
+        );
         continue;
       }
 
-      const importLine = line.slice(line.indexOf('import') + 7);
+      let contents;
 
-      const regex = /(.+?)\s*from\s*["'](.+?)["']/;
-      const match = regex.exec(importLine);
+      try {
+        contents = await this._fileLoader.loadFile(step.value);
+      } catch (error) {
+        step = generator.throw(error);
+        continue;
+      }
+      step = generator.next(contents);
+    }
+
+    return step.value;
+  }
+  /**
+   * Runs a loading generator, reading each file name it yields synchronously
+   * @param {*} generator
+   * @returns
+   */
+  runSync(generator) {
+    let step = generator.next();
 
-      if (!match) {
-        throw new Error('Incorrect import syntax');
+    while (!step.done) {
+      if (Array.isArray(step.value)) {
+        step = generator.next(
+          step.value.map((fileName) => {
+            try {
+              return { contents: this._fileLoader.loadFileSync(fileName) };
+            } catch (error) {
+              return { error };
+            }
+          }),
+        );
+        continue;
       }
 
-      const types = match[1]
-        .trim()
-        .split(',')
-        .map((t) => t.trim());
-      const specifiedPath = match[2].trim();
-      const fileName = path.isAbsolute(specifiedPath)
-        ? specifiedPath
-        : path.resolve(basePath, specifiedPath);
+      let contents;
 
-      imports.push({
-        types,
-        fileName,
-      });
+      try {
+        contents = this._fileLoader.loadFileSync(step.value);
+      } catch (error) {
+        step = generator.throw(error);
+        continue;
+      }
+      step = generator.next(contents);
     }
 
-    return imports;
+    return step.value;
   }
   /**
-   * Builds a dependency map starting with the given file.
-   * @param {*} fileName the name of the file to start with.
+   * Reads a file through whichever runner is running the generator. Loading is written once as
+   * generators yielding the files they need, so the async and sync APIs can't drift apart.
+   * @param {*} fileName
    * @returns
    */
+  *readFile(fileName) {
+    return yield fileName;
+  }
+  /**
+   * Reads files at once, up to the loader's concurrency
+   * @param {*} fileNames
+   * @returns `{ contents }` or `{ error }` for each file, in the same order
+   */
+  *readFiles(fileNames) {
+    return yield [...fileNames];
+  }
+  /**
+   * Reads a file, reporting the chain of imports that led to it if it can't be read.
+   * @param {*} fileName
+   * @param {*} importedBy how each file was first reached, as `{ file, statement }`
+   * @returns
+   */
+  *resolveImportedFile(fileName, importedBy = new Map()) {
+    try {
+      return yield* this.readFile(fileName);
+    } catch (error) {
+      const chain = [fileName];
+      let current = importedBy.get(fileName);
+
+      while (current && !chain.includes(current.file)) {
+        chain.unshift(current.file);
+        current = importedBy.get(current.file);
+      }
+
+      const { file, statement } = importedBy.get(fileName) || { file: fileName };
+      const code = error.code === 'ENOENT' ? 'FILE_NOT_FOUND' : 'FILE_UNREADABLE';
+      const location = statement
+        ? ` imported at ${GraphQLImportError.formatLocation(file, statement.line, statement.column)}`
+        : '';
+
+      throw new GraphQLImportError(
+        `${code === 'FILE_NOT_FOUND' ? 'Cannot find' : 'Cannot read'} ${fileName}${location}` +
+          `\n  ${chain.join('\n  -> ')}`,
+        {
+          code,
+          file,
+          line: statement && statement.line,
+          column: statement && statement.column,
+          statement: statement && statement.statement,
+          chain,
+          cause: error,
+        },
+      );
+    }
+  }
   async buildImportDependencyTreeFrom(fileName) {
+    return this.runAsync(this.resolveImportDependencyTree(fileName));
+  }
+  buildImportDependencyTreeFromSync(fileName) {
+    return this.runSync(this.resolveImportDependencyTree(fileName));
+  }
+  /**
+   * Builds a dependency map starting with the given file, from the persistent cache if no file in
+   * it has changed.
+   * @param {*} fileName the name of the file to start with.
+   * @returns
+   */
+  *resolveImportDependencyTree(fileName) {
+    if (!this._persistentCache) {
+      return yield* this.resolveUncachedImportDependencyTree(fileName);
+    }
+
+    const key = `${this._resolutionKey}\0${fileName}`;
+    const cached = this._persistentCache.readDependencyTree(key);
+
+    if (
+      cached &&
+      (yield* this.resolveFilesUnchanged(cached.hashes)) &&
+      JSON.stringify(
+        yield* this.resolveImportResolutions(cached.resolutions.map(([file]) => file)),
+      ) === JSON.stringify(cached.resolutions)
+    ) {
+      return cached.imports;
+    }
+
+    const imports = yield* this.resolveUncachedImportDependencyTree(fileName);
+    const hashes = [];
+
+    for (const importedFileName of imports.keys()) {
+      hashes.push([importedFileName, PersistentCache.hash(yield* this.readFile(importedFileName))]);
+    }
+    this._persistentCache.writeDependencyTree(
+      key,
+      imports,
+      hashes,
+      yield* this.resolveImportResolutions(imports.keys()),
+    );
+
+    return imports;
+  }
+  /**
+   * The files the import statements of each file resolve to now. Aliases, packages and relative
+   * files resolve depending on which files exist, so unchanged files can import different ones.
+   * @param {*} fileNames
+   * @returns `[fileName, importedFileNames]` pairs
+   */
+  *resolveImportResolutions(fileNames) {
+    const resolutions = [];
+
+    for (const fileName of fileNames) {
+      const statements = this.getImportStatements(fileName, yield* this.readFile(fileName));
+
+      resolutions.push([fileName, statements.map((statement) => statement.fileName)]);
+    }
+
+    return resolutions;
+  }
+  /**
+   * Whether every file still has the contents it was hashed from
+   * @param {*} hashes `[fileName, hash]` pairs
+   * @returns
+   */
+  *resolveFilesUnchanged(hashes) {
+    const files = yield* this.readFiles(hashes.map(([fileName]) => fileName));
+
+    return files.every(
+      ({ contents, error }, index) => !error && PersistentCache.hash(contents) === hashes[index][1],
+    );
+  }
+  *resolveUncachedImportDependencyTree(fileName) {
     const files = [fileName];
     const visited = new Set();
+    const fetched = new Set();
     const imports = new Map();
+    const importedBy = new Map();
 
     imports.set(fileName, ['*']);
 
     //While we find import statements, load that file and parse its import statements too.
     while (files.length > 0) {
+      //Read every newly found file at once. Files are still visited in the order they were found
+      //and read errors reported when they are, so results don't depend on which read ends first.
+      const unfetched = [...new Set(files)].filter((file) => !fetched.has(file));
+
+      if (unfetched.length > 1) {
+        yield* this.readFiles(unfetched);
+      }
+      for (const file of unfetched) {
+        fetched.add(file);
+      }
+
       const file = files.pop();
 
       if (visited.has(file)) {
@@ -80,51 +346,400 @@ class GraphQLFileLoader {
 
       visited.add(file);
 
-      const fileContents = await this._fileLoader.loadFile(file);
+      const fileContents = yield* this.resolveImportedFile(file, importedBy);
 
-      const importStatements = GraphQLFileLoader.parseImportStatements(file, fileContents);
+      const importStatements = this.getImportStatements(file, fileContents);
 
       if (importStatements.length) {
-        for (const { types, fileName } of importStatements) {
-          if (!imports.has(fileName)) {
-            imports.set(fileName, []);
+        for (const statement of importStatements) {
+          const { types, fileName: importedFileName } = statement;
+
+          if (!imports.has(importedFileName)) {
+            imports.set(importedFileName, []);
           }
-          //Tack-on more imported types to the given file
-          imports.get(fileName).push(...types);
-          files.push(fileName);
+          if (!importedBy.has(importedFileName) && importedFileName !== fileName) {
+            importedBy.set(importedFileName, { file, statement });
+          }
+          //Tack-on more imported types to the given file. Renamed types are loaded separately.
+          if (!statement.namespace) {
+            imports.get(importedFileName).push(...types.filter((type) => !statement.aliases[type]));
+          }
+          files.push(importedFileName);
         }
       }
     }
 
+    //A file with export statements only provides what it exports to `*` imports
+    for (const [importedFileName, types] of imports) {
+      const exported =
+        importedFileName !== fileName &&
+        types.includes('*') &&
+        this.getExportedNames(importedFileName, yield* this.readFile(importedFileName));
+
+      if (exported) {
+        imports.set(importedFileName, [...types.filter((type) => type !== '*'), ...exported]);
+      }
+    }
+
     return imports;
   }
   /**
-   * Loads a graphql sdl file and parses the imports and returns a merged SDL with all imports resolved.
-   * @param {*} cwd
-   * @param {*} filePath
+   * Parses a file. A file with nothing but comments, like one of only imports, has no definitions;
+   * any other syntax error is thrown with where it is.
+   * @param {*} fileName
+   * @param {*} file the file's contents
+   * @returns the document
+   */
+  parseDocument(fileName, file) {
+    try {
+      if (new graphql.Lexer(new graphql.Source(file)).advance().kind === graphql.TokenKind.EOF) {
+        return { kind: graphql.Kind.DOCUMENT, definitions: [] };
+      }
+
+      return this._graphqlParser.parse(fileName, file);
+    } catch (error) {
+      if (!(error instanceof graphql.GraphQLError)) {
+        throw error;
+      }
+
+      const [{ line, column } = {}] = error.locations || [];
+
+      throw new GraphQLImportError(
+        `${error.message} in ${GraphQLImportError.formatLocation(fileName, line, column)}`,
+        { code: 'GRAPHQL_SYNTAX', file: fileName, line, column, cause: error },
+      );
+    }
+  }
+  /**
+   * The names a file defines or extends itself
+   * @param {*} fileName
    * @returns
    */
-  async loadFile(cwd = __dirname, filePath, { skipGraphQLImport = false } = {}) {
-    const absolutePath = path.isAbsolute(filePath) ? filePath : path.resolve(cwd, filePath);
+  *resolveDefinedNames(fileName) {
+    const names = new Set();
+    const file = yield* this.readFile(fileName); //This file is already cached from earlier
+
+    for (const definition of this.parseDocument(fileName, file).definitions) {
+      if (definition.name) {
+        names.add(definition.name.value);
+      }
+    }
+
+    return names;
+  }
+  /**
+   * The fields a file defines or extends a type with
+   * @param {*} fileName
+   * @param {*} typeName
+   * @returns the field names, or undefined if the file doesn't define or extend the type
+   */
+  *resolveDefinedFields(fileName, typeName) {
+    const file = yield* this.readFile(fileName); //This file is already cached from earlier
+    let fields;
+
+    for (const definition of this.parseDocument(fileName, file).definitions) {
+      if (definition.name && definition.name.value === typeName && definition.fields) {
+        fields = fields || new Set();
+
+        for (const field of definition.fields) {
+          fields.add(field.name.value);
+        }
+      }
+    }
+
+    return fields;
+  }
+  /**
+   * The names a file provides to files importing it: what it exports if it has export statements,
+   * otherwise what it defines or extends and what it imports itself.
+   * @param {*} fileName
+   * @param {*} visited files already checked, for circular imports
+   * @returns
+   */
+  *resolveProvidedNames(fileName, visited = new Set()) {
+    const file = yield* this.readFile(fileName); //This file is already cached from earlier
+    const exported = this.getExportedNames(fileName, file);
+
+    if (exported) {
+      return new Set(exported);
+    }
+
+    return yield* this.resolveOwnNames(fileName, visited);
+  }
+  /**
+   * The names a file can use: what it defines or extends, and what it imports itself.
+   * @param {*} fileName
+   * @param {*} visited files already checked, for circular imports
+   * @returns
+   */
+  *resolveOwnNames(fileName, visited = new Set()) {
+    const names = new Set();
+
+    if (visited.has(fileName)) {
+      return names;
+    }
+    visited.add(fileName);
+
+    const file = yield* this.readFile(fileName); //This file is already cached from earlier
+
+    for (const name of yield* this.resolveDefinedNames(fileName)) {
+      names.add(name);
+    }
+
+    for (const statement of this.getImportStatements(fileName, file)) {
+      for (const type of statement.types) {
+        if (type !== '*') {
+          names.add(
+            statement.aliases[type] || DocumentDefinitionFilter.splitFieldName(type).typeName,
+          );
+          continue;
+        }
+        for (const name of yield* this.resolveProvidedNames(statement.fileName, visited)) {
+          names.add((statement.namespace || '') + name);
+        }
+      }
+    }
+
+    return names;
+  }
+  /**
+   * Checks that every name imported from a file is provided by that file, and that every name a
+   * file exports is one it can use.
+   * @param {*} imports the dependency map built by buildImportDependencyTreeFrom
+   */
+  *validateImportedNames(imports) {
+    //A bad export is reported where it is, rather than by the files importing it
+    for (const fileName of imports.keys()) {
+      yield* this.validateExportedNames(fileName, yield* this.readFile(fileName));
+    }
+
+    for (const fileName of imports.keys()) {
+      const file = yield* this.readFile(fileName); //This file is already cached from earlier
+
+      for (const statement of this.getImportStatements(fileName, file)) {
+        const provided = yield* this.resolveProvidedNames(statement.fileName);
+
+        for (const type of statement.types) {
+          const { typeName, fieldName } = DocumentDefinitionFilter.splitFieldName(type);
+          const location = GraphQLImportError.formatLocation(
+            fileName,
+            statement.line,
+            statement.column,
+          );
+          let candidates = [...provided];
+
+          if (type === '*' || (provided.has(typeName) && fieldName === undefined)) {
+            continue;
+          }
+          //Fields are checked where the type is defined, not where it's imported again
+          if (provided.has(typeName)) {
+            const fields = yield* this.resolveDefinedFields(statement.fileName, typeName);
+
+            if (!fields || fields.has(fieldName)) {
+              continue;
+            }
+            candidates = [...fields].map((field) => `${typeName}.${field}`);
+          } else if ((yield* this.resolveOwnNames(statement.fileName)).has(typeName)) {
+            throw new GraphQLImportError(
+              `"${typeName}" is not exported by ${statement.fileName}, imported at ${location}`,
+              {
+                code: 'TYPE_NOT_EXPORTED',
+                file: fileName,
+                line: statement.line,
+                column: statement.column,
+                statement: statement.statement,
+              },
+            );
+          }
+
+          const suggestions = GraphQLImportError.suggestionsFor(type, candidates);
+
+          throw new GraphQLImportError(
+            `"${type}" is not defined in ${statement.fileName}, imported at ${location}` +
+              (suggestions.length
+                ? `, did you mean ${suggestions.map((name) => `"${name}"`).join(', ')}?`
+                : ''),
+            {
+              code: 'TYPE_NOT_FOUND',
+              file: fileName,
+              line: statement.line,
+              column: statement.column,
+              statement: statement.statement,
+            },
+          );
+        }
+      }
+    }
+  }
+  /**
+   * Checks that every name a file exports is defined or imported by it
+   * @param {*} fileName
+   * @param {*} file the file's contents
+   */
+  *validateExportedNames(fileName, file) {
+    if (!this.getExportedNames(fileName, file)) {
+      return;
+    }
+
+    const names = yield* this.resolveOwnNames(fileName);
+
+    for (const statement of ImportStatementParser.parseExports(fileName, file)) {
+      const missing = statement.names.find((name) => !names.has(name));
+
+      if (missing === undefined) {
+        continue;
+      }
+
+      const suggestions = GraphQLImportError.suggestionsFor(missing, [...names]);
+      const location = GraphQLImportError.formatLocation(
+        fileName,
+        statement.line,
+        statement.column,
+      );
+
+      throw new GraphQLImportError(
+        `"${missing}" is exported at ${location} but not defined or imported there` +
+          (suggestions.length
+            ? `, did you mean ${suggestions.map((name) => `"${name}"`).join(', ')}?`
+            : ''),
+        {
+          code: 'TYPE_NOT_FOUND',
+          file: fileName,
+          line: statement.line,
+          column: statement.column,
+          statement: statement.statement,
+        },
+      );
+    }
+  }
+  /**
+   * Identifies a definition by where it was defined and what it is once printed, which renamed
+   * copies of the same definition share
+   * @param {*} definition
+   * @returns
+   */
+  static identityOf(definition) {
+    const origin = definition.loc ? `${definition.loc.source.name}:${definition.loc.start}` : '';
+
+    return `${origin}\0${graphql.print(definition)}`;
+  }
+  /**
+   * Loads the names imported `as` other names by a statement, renamed.
+   * @param {*} statement an import statement with `aliases` or a `namespace`
+   * @param {*} options the options to load the imported file with
+   * @param {*} stack the files being loaded, for circular renaming imports
+   * @returns
+   */
+  *resolveRenamedDefinitions(statement, options, stack) {
+    if (stack.includes(statement.fileName)) {
+      throw new GraphQLImportError(
+        `Circular renaming import of ${statement.fileName}: ${[...stack, statement.fileName].join(
+          ' -> ',
+        )}`,
+        {
+          code: 'CIRCULAR_RENAME',
+          file: stack[stack.length - 1],
+          line: statement.line,
+          column: statement.column,
+          statement: statement.statement,
+          chain: [...stack, statement.fileName],
+        },
+      );
+    }
+
+    let document = yield* this.resolveDefinitions(statement.fileName, options, [
+      ...stack,
+      statement.fileName,
+    ]);
+    const exported = this.getExportedNames(
+      statement.fileName,
+      yield* this.readFile(statement.fileName),
+    );
+
+    //Only what the file exports is imported, with the private definitions it needs
+    if (exported && statement.namespace) {
+      document = this._definitionFilter.filter(document, [], [...exported]);
+    }
+
+    if (!statement.namespace) {
+      const types = Object.keys(statement.aliases);
+
+      return DocumentDefinitionFilter.rename(
+        this._definitionFilter.filter(document, [], types),
+        statement.aliases,
+      ).definitions;
+    }
+
+    //Prefix what the file defines itself, not what it imports
+    const renames = {};
+
+    for (const name of yield* this.resolveDefinedNames(statement.fileName)) {
+      renames[name] = statement.namespace + name;
+    }
+
+    return DocumentDefinitionFilter.rename(document, renames).definitions;
+  }
+  /**
+   * Loads a graphql sdl file, resolves its imports and returns the merged document.
+   * @param {*} absolutePath
+   * @param {*} options `collisions` is one of `error`, `warn`, `first-wins`, `last-wins` or `merge-fields`.
+   * `assumeValid` skips checking that imported names are defined.
+   * @param {*} stack the files being loaded, for circular renaming imports
+   * @returns
+   */
+  *resolveDefinitions(
+    absolutePath,
+    { collisions = 'last-wins', assumeValid = false } = {},
+    stack = [absolutePath],
+  ) {
+    const collisionResolver = new DefinitionCollisionResolver(collisions);
     const definitions = [];
     const definitionsAdded = new Set();
 
-    if (skipGraphQLImport) {
-      return await this._fileLoader.loadFile(absolutePath);
+    //Build a dependency tree starting with the provided filePath
+    const imports = yield* this.resolveImportDependencyTree(absolutePath);
+
+    if (!assumeValid) {
+      yield* this.validateImportedNames(imports);
     }
 
-    //Build a dependency tree starting with the provided filePath
-    const imports = await this.buildImportDependencyTreeFrom(absolutePath);
+    //Imports that rename types are loaded on their own and are available to every file
+    const renamedAdded = new Set();
+
+    for (const fileName of imports.keys()) {
+      const file = yield* this.readFile(fileName); //This file is already cached from earlier
+
+      for (const statement of this.getImportStatements(fileName, file)) {
+        if (!GraphQLFileLoader.isRenamingImport(statement)) {
+          continue;
+        }
+
+        const renamed = yield* this.resolveRenamedDefinitions(
+          statement,
+          { collisions, assumeValid },
+          stack,
+        );
+
+        //Files renaming the same import the same way get the same definitions, not collisions
+        for (const definition of renamed) {
+          const identity = GraphQLFileLoader.identityOf(definition);
+
+          if (!renamedAdded.has(identity)) {
+            renamedAdded.add(identity);
+            definitions.push(definition);
+          }
+        }
+      }
+    }
 
     //Make a copy so we can reverse-process from bottom to top
     const entries = [...imports.entries()];
-
     //This iterates through imports, parses graphql, and prunes out the requests types
     while (entries.length > 1) {
       const [fileName, types] = entries.pop();
 
-      const file = await this._fileLoader.loadFile(fileName); //This file is already cached from earlier
-      const document = this._graphqlParser.parse(fileName, file);
+      const file = yield* this.readFile(fileName); //This file is already cached from earlier
+      const document = this.parseDocument(fileName, file);
 
       if (types.includes('*')) {
         definitions.push(...document.definitions);
@@ -135,16 +750,15 @@ class GraphQLFileLoader {
       const filteredDocument = this._definitionFilter.filter(document, definitions, types);
       const filteredDefinitions = [];
 
-      //Only collect dependencies once
+      //Only collect dependencies once. Distinct definitions sharing a name are kept so
+      //collisions can be resolved once everything is loaded.
       for (const definition of filteredDocument.definitions) {
-        const definitionName = definition.name && definition.kind + definition.name.value;
-
-        if (!definitionName || definitionsAdded.has(definitionName)) {
+        if (!definition.name || definitionsAdded.has(definition)) {
           continue;
         }
 
         filteredDefinitions.push(definition);
-        definitionsAdded.add(definitionName);
+        definitionsAdded.add(definition);
       }
       definitions.push(...filteredDefinitions);
     }
@@ -152,69 +766,423 @@ class GraphQLFileLoader {
     //The root document
     const [fileName] = entries.pop();
 
-    const file = await this._fileLoader.loadFile(fileName); //This file is already cached from earlier
+    const file = yield* this.readFile(fileName); //This file is already cached from earlier
 
-    let document;
+    const document = this.parseDocument(fileName, file);
 
-    try {
-      document = this._graphqlParser.parse(fileName, file);
-    } 
-    catch (error) {
-      //Nothing was even processed
+    //The root has nothing but imports, so return the resolved dependency definitions
+    if (!document.definitions.length) {
+      //Nothing was even processed, which graphql reports as a syntax error
       if (!definitions.length) {
-        throw error;
+        this._graphqlParser.parse(fileName, file);
       }
 
-      //We know we were able to build a dependency tree from the root,
-      //so likely the root simply doesn't have any definitions of its own.
-      //Return the resolved dependency definitions.
-      return graphql.print({
+      return {
         kind: graphql.Kind.DOCUMENT,
-        definitions,
-      });
+        definitions: collisionResolver.resolve(definitions),
+      };
     }
 
     //Get the defined type names
-    const types = document.definitions.map((definition) => {
-      if (definition.name) {
-        return definition.name.value;
-      }
-    });
+    const types = document.definitions.map((definition) =>
+      DocumentDefinitionFilter.nameOf(definition),
+    );
+
+    //Resolve definitions of the same type coming from different files
+    const resolvedDocument = {
+      kind: graphql.Kind.DOCUMENT,
+      definitions: collisionResolver.resolve([...definitions, ...document.definitions]),
+    };
+
+    //Merged root operation types and the schema definition are kept even if the root doesn't use them
+    if (collisionResolver.mergesRootTypes) {
+      types.push(
+        ...DefinitionCollisionResolver.rootDefinitionsOf(resolvedDocument.definitions).map(
+          (definition) => DocumentDefinitionFilter.nameOf(definition),
+        ),
+      );
+    }
 
     //Filter by types and their transitive dependencies
-    const filteredDocument = this._definitionFilter.filter(document, definitions, types);
+    return this._definitionFilter.filter(resolvedDocument, [], types);
+  }
+  /**
+   * Loads a graphql sdl file and parses the imports and returns a merged SDL with all imports resolved.
+   * @param {*} cwd
+   * @param {*} filePath
+   * @param {*} options `collisions` is one of `error`, `warn`, `first-wins`, `last-wins` or `merge-fields`.
+   * With `sourceMap` an object of `{ sdl, definitions, sourceMap }` is returned instead of the SDL.
+   * @returns
+   */
+  async loadFile(cwd = __dirname, filePath, options = {}) {
+    return this.runAsync(this.resolveFile(cwd, filePath, options));
+  }
+  loadFileSync(cwd = __dirname, filePath, options = {}) {
+    return this.runSync(this.resolveFile(cwd, filePath, options));
+  }
+  *resolveFile(
+    cwd,
+    filePath,
+    { skipGraphQLImport = false, collisions = 'last-wins', sourceMap = false },
+  ) {
+    const absolutePath = path.isAbsolute(filePath) ? filePath : path.resolve(cwd, filePath);
+
+    if (skipGraphQLImport) {
+      return yield* this.readFile(absolutePath);
+    }
+
+    const document = yield* this.resolveDefinitions(absolutePath, { collisions });
+
+    if (sourceMap) {
+      return new SourceMapBuilder().build(document, { file: absolutePath });
+    }
 
     //This is the merged SDL which we can parse into a schema etc
-    return graphql.print(filteredDocument);
+    return graphql.print(document);
+  }
+  /**
+   * Loads a graphql sdl file and returns the merged document, with the locations of each
+   * definition in the file it came from.
+   * @param {*} entry
+   * @param {*} options `cwd` to resolve the entry from, and `collisions`
+   * @returns
+   */
+  async loadDocument(entry, { cwd = process.cwd(), collisions } = {}) {
+    return this.runAsync(this.resolveDefinitions(path.resolve(cwd, entry), { collisions }));
+  }
+  loadDocumentSync(entry, { cwd = process.cwd(), collisions } = {}) {
+    return this.runSync(this.resolveDefinitions(path.resolve(cwd, entry), { collisions }));
+  }
+  /**
+   * Builds a schema from the merged document, which is validated unless `assumeValid` is set
+   * @param {*} document
+   * @param {*} options passed to graphql's buildASTSchema
+   * @returns
+   */
+  static buildSchema(document, { assumeValid = false, assumeValidSDL = false } = {}) {
+    const schema = graphql.buildASTSchema(document, { assumeValid, assumeValidSDL });
+
+    if (!assumeValid) {
+      graphql.assertValidSchema(schema);
+    }
+
+    return schema;
+  }
+  /**
+   * Loads a graphql sdl file and returns a validated schema built from the merged document.
+   * @param {*} entry
+   * @param {*} options `cwd` and `collisions` as for loadDocument, and `assumeValid` and
+   * `assumeValidSDL` as for graphql's buildASTSchema
+   * @returns
+   */
+  async loadSchema(entry, { cwd, collisions, ...buildOptions } = {}) {
+    return GraphQLFileLoader.buildSchema(
+      await this.loadDocument(entry, { cwd, collisions }),
+      buildOptions,
+    );
+  }
+  loadSchemaSync(entry, { cwd, collisions, ...buildOptions } = {}) {
+    return GraphQLFileLoader.buildSchema(
+      this.loadDocumentSync(entry, { cwd, collisions }),
+      buildOptions,
+    );
+  }
+  /**
+   * Loads every file matching the pointer as an entry of one schema, so definitions imported by
+   * more than one entry are only emitted once.
+   * @param {*} pointer a file name or glob of entry files
+   * @param {*} options `cwd`, `ignore` and `collisions`, which also applies between entries
+   * @returns `{ document, sdl, pulledInBy }`, where `pulledInBy` maps the name of every definition
+   * to the entry files that loaded it. Directives are named `@name`.
+   */
+  async bundle(pointer, { cwd = process.cwd(), ignore = [], collisions } = {}) {
+    const files = await this._sourceProvider.glob(pointer, { cwd, ignore });
+
+    return this.runAsync(
+      this.resolveBundle(
+        files.map((file) => path.resolve(cwd, file)),
+        { collisions },
+      ),
+    );
+  }
+  bundleSync(pointer, { cwd = process.cwd(), ignore = [], collisions } = {}) {
+    const files = this._sourceProvider.globSync(pointer, { cwd, ignore });
+
+    return this.runSync(
+      this.resolveBundle(
+        files.map((file) => path.resolve(cwd, file)),
+        { collisions },
+      ),
+    );
+  }
+  *resolveBundle(entries, { collisions = 'last-wins' } = {}) {
+    const definitions = [];
+    const printed = new Set();
+    const pulledInBy = {};
+
+    for (const entry of entries) {
+      const document = yield* this.resolveDefinitions(entry, { collisions });
+
+      for (const definition of document.definitions) {
+        const name =
+          DefinitionCollisionResolver.collisionKeyOf(definition) ||
+          DocumentDefinitionFilter.nameOf(definition);
+
+        if (!pulledInBy[name]) {
+          pulledInBy[name] = [];
+        }
+        if (!pulledInBy[name].includes(entry)) {
+          pulledInBy[name].push(entry);
+        }
+
+        //Renamed and merged definitions are built again for every entry, so drop identical copies
+        //before resolving collisions between entries
+        const key = graphql.print(definition);
+
+        if (!printed.has(key)) {
+          printed.add(key);
+          definitions.push(definition);
+        }
+      }
+    }
+
+    const document = {
+      kind: graphql.Kind.DOCUMENT,
+      definitions: new DefinitionCollisionResolver(collisions).resolve(definitions),
+    };
+
+    return { document, sdl: graphql.print(document), pulledInBy };
   }
   async loadAllContent(
     pointer,
-    { cwd = process.cwd(), skipGraphQLImport = false, ignore = [] } = {},
+    { cwd = process.cwd(), skipGraphQLImport = false, ignore = [], collisions } = {},
   ) {
-    const files = await glob(pointer, {
+    const files = await this._sourceProvider.glob(pointer, {
       cwd,
       ignore,
     });
 
     return Promise.all(
       files.map((file) => {
-        return this.loadFile(cwd, file, { skipGraphQLImport });
+        return this.loadFile(cwd, file, { skipGraphQLImport, collisions });
       }),
     );
   }
+  loadAllContentSync(
+    pointer,
+    { cwd = process.cwd(), skipGraphQLImport = false, ignore = [], collisions } = {},
+  ) {
+    const files = this._sourceProvider.globSync(pointer, {
+      cwd,
+      ignore,
+    });
+
+    return files.map((file) => {
+      return this.loadFileSync(cwd, file, { skipGraphQLImport, collisions });
+    });
+  }
   /**
-   * Conforms to the loader interface in graphql-tools
-   * @param {*} pointer
-   * @param {*} options
+   * The import graph of every file matching the pointer and every file they import
+   * @param {*} pointer a file name or glob
+   * @param {*} options `cwd`, `ignore` and `entries`, a file name or glob of the entry points.
+   * Without `entries`, the matched files no other file imports are the entry points.
+   * @returns an ImportGraph
+   */
+  async getImportGraph(pointer, { cwd = process.cwd(), ignore = [], entries } = {}) {
+    const files = await this._sourceProvider.glob(pointer, { cwd, ignore });
+    const entryFiles = entries && (await this._sourceProvider.glob(entries, { cwd, ignore }));
+
+    return this.runAsync(this.resolveImportGraph(files, entryFiles, cwd));
+  }
+  getImportGraphSync(pointer, { cwd = process.cwd(), ignore = [], entries } = {}) {
+    const files = this._sourceProvider.globSync(pointer, { cwd, ignore });
+    const entryFiles = entries && this._sourceProvider.globSync(entries, { cwd, ignore });
+
+    return this.runSync(this.resolveImportGraph(files, entryFiles, cwd));
+  }
+  /**
+   * The import graph of a single entry file and every file it imports
+   * @param {*} fileName an absolute file name
+   * @returns an ImportGraph
+   */
+  async getImportGraphFrom(fileName) {
+    return this.runAsync(this.resolveImportGraph([fileName], [fileName], path.dirname(fileName)));
+  }
+  getImportGraphFromSync(fileName) {
+    return this.runSync(this.resolveImportGraph([fileName], [fileName], path.dirname(fileName)));
+  }
+  *resolveImportGraph(files, entries, cwd) {
+    files = files.map((file) => path.resolve(cwd, file));
+    entries = entries && entries.map((file) => path.resolve(cwd, file));
+
+    const graphFiles = [];
+    const edges = [];
+
+    for (const file of [...(entries || []), ...files]) {
+      for (const fileName of (yield* this.resolveImportDependencyTree(file)).keys()) {
+        if (graphFiles.includes(fileName)) {
+          continue;
+        }
+        graphFiles.push(fileName);
+
+        const contents = yield* this.readFile(fileName);
+
+        for (const statement of this.getImportStatements(fileName, contents)) {
+          edges.push({
+            from: fileName,
+            to: statement.fileName,
+            types: statement.types,
+            line: statement.line,
+            column: statement.column,
+            statement: statement.statement,
+          });
+        }
+      }
+    }
+
+    if (!entries) {
+      const imported = new Set(edges.map(({ to }) => to));
+
+      entries = files.filter((file) => !imported.has(file));
+    }
+
+    return new ImportGraph({ files: graphFiles, edges, entries, cwd });
+  }
+  /**
+   * Removes a file from every cache so it is read and parsed again on the next load
+   * @param {*} fileName
+   */
+  evict(fileName) {
+    this._fileLoader.evict(fileName);
+    this._graphqlParser.evict(fileName);
+    this._importStatements.delete(fileName);
+    this._exportedNames.delete(fileName);
+  }
+  /**
+   * Loads every file matching the pointer and reloads it whenever a file it imports changes.
+   * @param {*} pointer a file name or glob of entry files
+   * @param {*} callback called with `(error, { fileName, sdl })` for every entry loaded
+   * @param {*} options `cwd`, `ignore` and `debounce` in milliseconds; the rest is passed to `loadFile`
+   * @returns an ImportWatcher, which must be closed to stop watching
    */
-  async load(pointer, { cwd = process.cwd(), skipGraphQLImport = false, ignore = [] } = {}) {
-    const sources = await this.loadAllContent(pointer, {
+  async watch(pointer, callback, { cwd = process.cwd(), ignore = [], ...options } = {}) {
+    if (!this._sourceProvider.watch) {
+      throw new Error('The source provider does not support watching files');
+    }
+
+    const files = await this._sourceProvider.glob(pointer, {
       cwd,
-      skipGraphQLImport,
       ignore,
     });
 
-    return sources.map((rawSDL) => ({ rawSDL }));
+    const watcher = new ImportWatcher(
+      this,
+      files.map((file) => path.resolve(cwd, file)),
+      callback,
+      options,
+    );
+
+    await watcher.start();
+
+    return watcher;
+  }
+  /**
+   * Whether a pointer is a graphql file that exists or a glob of graphql files, for the loader
+   * interface in graphql-tools
+   * @param {*} pointer
+   * @param {*} options `cwd` to resolve the pointer from
+   * @returns
+   */
+  async canLoad(pointer, options) {
+    return this.canLoadSync(pointer, options);
+  }
+  canLoadSync(pointer, { cwd = process.cwd() } = {}) {
+    if (typeof pointer !== 'string') {
+      return false;
+    }
+
+    const extension = path.extname(pointer);
+
+    if (hasMagic(pointer)) {
+      return GRAPHQL_EXTENSIONS.includes(extension) || hasMagic(extension);
+    }
+
+    return (
+      GRAPHQL_EXTENSIONS.includes(extension) &&
+      this._sourceProvider.exists(path.resolve(cwd, pointer))
+    );
+  }
+  /**
+   * Conforms to the loader interface in graphql-tools, loading every file matching the pointer
+   * @param {*} pointer a file name or glob, relative to `cwd` or absolute
+   * @param {*} options `cwd`, `ignore`, `collisions` and `skipGraphQLImport`. `noLocation` leaves
+   * locations out of the documents and `assumeValid` or `assumeValidSDL` skip checking imported
+   * names are defined.
+   * @returns a source of `{ location, document, rawSDL }` for each file
+   */
+  async load(pointer, options = {}) {
+    if (!(await this.canLoad(pointer, options))) {
+      return [];
+    }
+
+    const { cwd = process.cwd(), ignore = [] } = options;
+    const files = await this._sourceProvider.glob(pointer, { cwd, ignore });
+
+    return Promise.all(
+      files.map((file) => this.runAsync(this.resolveSource(path.resolve(cwd, file), options))),
+    );
+  }
+  loadSync(pointer, options = {}) {
+    if (!this.canLoadSync(pointer, options)) {
+      return [];
+    }
+
+    const { cwd = process.cwd(), ignore = [] } = options;
+    const files = this._sourceProvider.globSync(pointer, { cwd, ignore });
+
+    return files.map((file) => this.runSync(this.resolveSource(path.resolve(cwd, file), options)));
+  }
+  *resolveSource(
+    location,
+    {
+      skipGraphQLImport = false,
+      collisions,
+      noLocation = false,
+      assumeValid = false,
+      assumeValidSDL = false,
+    },
+  ) {
+    //graphql-tools parses the file as it is, along with the import statements
+    if (skipGraphQLImport) {
+      return { location, rawSDL: yield* this.readFile(location) };
+    }
+
+    let document = yield* this.resolveDefinitions(location, {
+      collisions,
+      assumeValid: assumeValid || assumeValidSDL,
+    });
+
+    if (noLocation) {
+      document = GraphQLFileLoader.withoutLocations(document);
+    }
+
+    const source = { location, document };
+
+    //graphql-tools parses rawSDL again when it's there, so it's left out of what it copies
+    Object.defineProperty(source, 'rawSDL', { value: graphql.print(document) });
+
+    return source;
+  }
+  static withoutLocations(document) {
+    return graphql.visit(document, {
+      enter(node) {
+        if (node.loc) {
+          const { loc, ...rest } = node;
+
+          return rest;
+        }
+      },
+    });
   }
 }
 
@@ -223,4 +1191,19 @@ module.exports = {
   CachedGraphqlParser,
   GraphQLFileLoader,
   DocumentDefinitionFilter,
+  DefinitionCollisionResolver,
+  SourceMapBuilder,
+  GraphQLImportError,
+  ImportWatcher,
+  CommandLine,
+  ImportPathResolver,
+  DiskSourceProvider,
+  MemorySourceProvider,
+  ImportGraph,
+  PersistentCache,
+  ImportStatementParser,
+  GraphQLModuleCompiler,
+  GitSourceProvider,
+  SchemaDiff,
+  ImportLinter,
 };
@@ -0,0 +1,55 @@
+'use strict';
+
+const { version } = require('./package.json');
+const { GraphQLFileLoader, GraphQLModuleCompiler, PersistentCache } = require('./index');
+
+/**
+ * Creates a Jest transformer for graphql files, which resolves their imports. Jest calls this
+ * with the options of the transform in its config.
+ * @param {*} options `output`, 'sdl' or 'document', `collisions` and the options of
+ * GraphQLFileLoader
+ * @returns
+ */
+function createTransformer({ output, collisions, ...loaderOptions } = {}) {
+  const loader = new GraphQLFileLoader(loaderOptions);
+  const compiler = new GraphQLModuleCompiler(loader, { output, format: 'commonjs', collisions });
+  const contentsOf = (fileName) => {
+    try {
+      return loader.runSync(loader.readFile(fileName));
+    } catch (error) {
+      return '';
+    }
+  };
+
+  return {
+    /**
+     * A key covering the contents of every imported file, so a file is transformed again when
+     * anything it imports changes
+     */
+    getCacheKey(sourceText, sourcePath, { configString = '' } = {}) {
+      //Workers outlive a run in watch mode, so files are read again for each key
+      compiler.reset();
+
+      const { files } = compiler.compileSync(sourcePath);
+
+      return PersistentCache.hash(
+        version,
+        configString,
+        JSON.stringify({ output, collisions, ...loaderOptions }),
+        sourceText,
+        ...files.flatMap((fileName) => [fileName, contentsOf(fileName)]),
+      );
+    },
+    process(sourceText, sourcePath) {
+      const { code, error } = compiler.compileSync(sourcePath);
+
+      if (error) {
+        throw error;
+      }
+
+      return { code };
+    },
+  };
+}
+
+module.exports = { createTransformer };
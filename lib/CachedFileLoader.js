@@ -1,15 +1,35 @@
 'use strict';
 
-const fs = require('fs/promises');
 const path = require('path');
+const { DiskSourceProvider } = require('./DiskSourceProvider');
 
 /**
  * Reads and caches files
  */
 class CachedFileLoader {
-  constructor() {
+  /**
+   * @param {*} sourceProvider reads the files, from disk by default
+   * @param {*} options `concurrency` is the most files read at once, a positive integer
+   */
+  constructor(sourceProvider = new DiskSourceProvider(), { concurrency = 8 } = {}) {
+    //Reads would wait forever for a slot that never frees up
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`Invalid concurrency "${concurrency}", expected a positive integer`);
+    }
+
+    this._sourceProvider = sourceProvider;
     this._cache = new Map();
+    this._pending = new Map();
+    this._concurrency = concurrency;
+    this._reading = 0;
+    this._waiting = [];
   }
+  /**
+   * Loads a file, sharing the read with anyone loading the same file while it's in flight
+   * @param {*} cwd
+   * @param {*} filePath
+   * @returns
+   */
   async loadFile(cwd = __dirname, filePath = '') {
     const absolutePath = path.resolve(cwd, filePath);
 
@@ -17,12 +37,75 @@ class CachedFileLoader {
       return this._cache.get(absolutePath);
     }
 
-    const contents = await fs.readFile(absolutePath);
+    if (!this._pending.has(absolutePath)) {
+      const pending = this.read(absolutePath).then(
+        (contents) => {
+          //The file may have been evicted while it was read
+          if (this._pending.get(absolutePath) === pending) {
+            this._pending.delete(absolutePath);
+            this._cache.set(absolutePath, contents.toString().trim());
+          }
+          return contents.toString().trim();
+        },
+        (error) => {
+          if (this._pending.get(absolutePath) === pending) {
+            this._pending.delete(absolutePath);
+          }
+          throw error;
+        },
+      );
+
+      this._pending.set(absolutePath, pending);
+    }
+
+    return this._pending.get(absolutePath);
+  }
+  /**
+   * Reads a file once fewer than `concurrency` files are being read
+   * @param {*} absolutePath
+   * @returns
+   */
+  async read(absolutePath) {
+    if (this._reading < this._concurrency) {
+      this._reading++;
+    } else {
+      //A finished read hands its slot over rather than freeing it
+      await new Promise((resolve) => this._waiting.push(resolve));
+    }
+
+    try {
+      return await this._sourceProvider.read(absolutePath);
+    } finally {
+      const next = this._waiting.shift();
+
+      if (next) {
+        next();
+      } else {
+        this._reading--;
+      }
+    }
+  }
+  loadFileSync(cwd = __dirname, filePath = '') {
+    const absolutePath = path.resolve(cwd, filePath);
+
+    if (this._cache.has(absolutePath)) {
+      return this._cache.get(absolutePath);
+    }
+
+    const contents = this._sourceProvider.readSync(absolutePath);
 
     this._cache.set(absolutePath, contents.toString().trim());
 
     return this._cache.get(absolutePath);
   }
+  /**
+   * Removes a file from the cache so the next load reads it again
+   * @param {*} filePath
+   */
+  evict(filePath) {
+    this._cache.delete(path.resolve(filePath));
+    this._pending.delete(path.resolve(filePath));
+  }
 }
 
 module.exports = { CachedFileLoader };
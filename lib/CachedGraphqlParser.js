@@ -6,20 +6,40 @@ const graphql = require('graphql');
  * Parses and caches graphql documents
  */
 class CachedGraphqlParser {
-  constructor() {
+  /**
+   * @param {*} persistentCache an optional PersistentCache sharing parsed documents across processes
+   */
+  constructor(persistentCache) {
     this._cache = new Map();
+    this._persistentCache = persistentCache;
   }
   parse(filePath, contents) {
     if (this._cache.has(filePath)) {
       return this._cache.get(filePath);
     }
 
-    const document = graphql.parse(contents);
+    let document = this._persistentCache && this._persistentCache.readDocument(filePath, contents);
+
+    if (!document) {
+      //Name the source after the file so locations can be traced back to it
+      document = graphql.parse(new graphql.Source(contents, filePath));
+
+      if (this._persistentCache) {
+        this._persistentCache.writeDocument(filePath, contents, document);
+      }
+    }
 
     this._cache.set(filePath, document);
 
     return this._cache.get(filePath);
   }
+  /**
+   * Removes a document from the cache so the next parse parses it again
+   * @param {*} filePath
+   */
+  evict(filePath) {
+    this._cache.delete(filePath);
+  }
 }
 
 module.exports = { CachedGraphqlParser };
@@ -0,0 +1,334 @@
+'use strict';
+
+const fs = require('fs/promises');
+const { existsSync, statSync } = require('fs');
+const graphql = require('graphql');
+const path = require('path');
+const util = require('util');
+const { GitSourceProvider } = require('./GitSourceProvider');
+const { GraphQLImportError } = require('./GraphQLImportError');
+const { SchemaDiff } = require('./SchemaDiff');
+const { ImportLinter } = require('./ImportLinter');
+
+const USAGE = `Usage: graphql-import <command> <entry|glob> [options]
+
+Commands:
+  bundle   Write the merged SDL of the matched files
+  check    Resolve imports and validate the merged schema, exiting non-zero on failure
+  deps     Print the import graph of the matched files
+  diff     Compare the schema of an entry at --base and --head, exiting non-zero on breaking changes
+  lint     Report unresolved references and unused, duplicate or narrowable #import statements,
+           exiting non-zero on any
+
+Options:
+  -o, --output <file>   Write to a file instead of stdout
+  --cwd <dir>           Directory to resolve the entry or glob from (default: current directory)
+  --ignore <glob>       Glob of files to ignore, may be repeated
+  --format <format>     sdl, json, introspection, or dot for deps (default: sdl)
+  --base <dir|revision> The checkout or git revision to compare from, for diff
+  --head <dir|revision> The checkout or git revision to compare to, for diff (default: --cwd)
+  --fix                 Rewrite the #import statements of the linted files, for lint
+  -h, --help            Show this help
+`;
+
+const FORMATS = ['sdl', 'json', 'introspection', 'dot'];
+
+/**
+ * The graphql-import command line interface
+ */
+class CommandLine {
+  /**
+   * @param {*} loader the GraphQLFileLoader to load files with
+   * @param {*} streams `stdout` and `stderr` to write to, and `createLoader` to create loaders
+   * with other options, like a source provider for a git revision
+   */
+  constructor(
+    loader,
+    {
+      stdout = process.stdout,
+      stderr = process.stderr,
+      createLoader = (options) => new loader.constructor(options),
+    } = {},
+  ) {
+    this._loader = loader;
+    this._createLoader = createLoader;
+    this._stdout = stdout;
+    this._stderr = stderr;
+  }
+  /**
+   * Parses the arguments following the executable and script names
+   * @param {*} argv
+   * @returns
+   */
+  static parseArguments(argv) {
+    const { values, positionals } = util.parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        output: { type: 'string', short: 'o' },
+        cwd: { type: 'string' },
+        ignore: { type: 'string', multiple: true },
+        format: { type: 'string', default: 'sdl' },
+        base: { type: 'string' },
+        head: { type: 'string' },
+        fix: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+
+    if (!FORMATS.includes(values.format)) {
+      throw new Error(`Unknown format "${values.format}", expected one of: ${FORMATS.join(', ')}`);
+    }
+
+    const [command, pointer] = positionals;
+
+    return {
+      command,
+      pointer,
+      output: values.output,
+      cwd: path.resolve(values.cwd || '.'),
+      ignore: values.ignore || [],
+      format: values.format,
+      base: values.base,
+      head: values.head,
+      fix: !!values.fix,
+      help: values.help,
+    };
+  }
+  /**
+   * Runs a command
+   * @param {*} argv the arguments following the executable and script names
+   * @returns the exit code
+   */
+  async run(argv) {
+    let options;
+
+    try {
+      options = CommandLine.parseArguments(argv);
+    } catch (error) {
+      this._stderr.write(`${error.message}\n\n${USAGE}`);
+      return 1;
+    }
+
+    if (options.help) {
+      this._stdout.write(USAGE);
+      return 0;
+    }
+
+    if (
+      !['bundle', 'check', 'deps', 'diff', 'lint'].includes(options.command) ||
+      !options.pointer
+    ) {
+      this._stderr.write(USAGE);
+      return 1;
+    }
+
+    try {
+      return await this[options.command](options);
+    } catch (error) {
+      this._stderr.write(`${error.message}\n`);
+      return 1;
+    }
+  }
+  /**
+   * Loads every file matching the pointer into a single document
+   * @param {*} options
+   * @returns
+   */
+  async loadDocument({ pointer, cwd, ignore }) {
+    const files = await this._loader.sourceProvider.glob(pointer, { cwd, ignore });
+
+    if (!files.length) {
+      throw new Error(`No files match ${pointer}`);
+    }
+
+    return (await this._loader.bundle(pointer, { cwd, ignore })).document;
+  }
+  /**
+   * Formats a document as SDL, its AST as JSON, or the introspection result of its schema
+   * @param {*} document
+   * @param {*} format
+   * @returns
+   */
+  static format(document, format) {
+    if (format === 'dot') {
+      throw new Error('The dot format is only supported by deps');
+    }
+    if (format === 'json') {
+      return JSON.stringify(graphql.parse(graphql.print(document), { noLocation: true }), null, 2);
+    }
+    if (format === 'introspection') {
+      return JSON.stringify(
+        graphql.introspectionFromSchema(graphql.buildASTSchema(document)),
+        null,
+        2,
+      );
+    }
+    return graphql.print(document);
+  }
+  async write(contents, { output }) {
+    if (output) {
+      await fs.writeFile(path.resolve(output), contents + '\n');
+      return;
+    }
+    this._stdout.write(contents + '\n');
+  }
+  async bundle(options) {
+    const document = await this.loadDocument(options);
+
+    await this.write(CommandLine.format(document, options.format), options);
+
+    return 0;
+  }
+  async check(options) {
+    const document = await this.loadDocument(options);
+
+    let errors;
+
+    try {
+      errors = graphql.validateSchema(graphql.buildASTSchema(document));
+    } catch (error) {
+      errors = [error];
+    }
+
+    if (errors.length) {
+      for (const error of errors) {
+        this._stderr.write(`${error.message}\n`);
+      }
+      return 1;
+    }
+
+    this._stdout.write('Schema is valid\n');
+
+    return 0;
+  }
+  async deps(options) {
+    const { pointer, cwd, ignore, format } = options;
+    const graph = await this._loader.getImportGraph(pointer, { cwd, ignore, entries: pointer });
+    const imports = {};
+
+    for (const file of graph.files) {
+      imports[graph.relative(file)] = graph
+        .importsOf(file)
+        .map(({ to, types }) => ({ file: graph.relative(to), types }));
+    }
+
+    if (format === 'dot') {
+      await this.write(graph.toDOT(), options);
+      return 0;
+    }
+
+    if (format !== 'sdl') {
+      await this.write(JSON.stringify(imports, null, 2), options);
+      return 0;
+    }
+
+    const lines = [];
+    const print = (file, depth, ancestors) => {
+      for (const { file: imported, types } of imports[file]) {
+        const cycle = ancestors.includes(imported) ? ' (circular)' : '';
+
+        lines.push(`${'  '.repeat(depth)}${imported} (${types.join(', ')})${cycle}`);
+
+        if (!cycle) {
+          print(imported, depth + 1, [...ancestors, imported]);
+        }
+      }
+    };
+
+    for (const file of graph.entries) {
+      const entry = graph.relative(file);
+
+      lines.push(entry);
+      print(entry, 1, [entry]);
+    }
+
+    await this.write(lines.join('\n'), options);
+
+    return 0;
+  }
+  /**
+   * The loader and root directory of a checkout, or of a git revision read from the repository
+   * at cwd
+   * @param {*} target a directory or revision, the loader's own files at cwd if not given
+   * @param {*} cwd
+   * @returns
+   */
+  rootOf(target, cwd) {
+    if (target === undefined) {
+      return { loader: this._loader, root: cwd };
+    }
+
+    const directory = path.resolve(cwd, target);
+
+    if (existsSync(directory) && statSync(directory).isDirectory()) {
+      return { loader: this._loader, root: directory };
+    }
+
+    return {
+      loader: this._createLoader({
+        sourceProvider: new GitSourceProvider({ revision: target, cwd }),
+      }),
+      root: cwd,
+    };
+  }
+  async diff(options) {
+    const { pointer, cwd, base, head, format } = options;
+
+    if (base === undefined) {
+      throw new Error('diff needs a --base directory or revision to compare from');
+    }
+
+    const schemaDiff = new SchemaDiff(this.rootOf(base, cwd), this.rootOf(head, cwd));
+    const changes = await schemaDiff.diff(pointer);
+
+    if (format === 'json') {
+      await this.write(JSON.stringify(changes, null, 2), options);
+    } else if (format === 'sdl') {
+      await this.write(SchemaDiff.format(changes) || 'No changes', options);
+    } else {
+      throw new Error(`The ${format} format is not supported by diff`);
+    }
+
+    return changes.some(({ severity }) => severity === 'breaking') ? 1 : 0;
+  }
+  async lint(options) {
+    const { pointer, cwd, ignore, format, fix } = options;
+    const results = await new ImportLinter(this._loader).lint(pointer, { cwd, ignore, fix });
+
+    if (!results.length) {
+      throw new Error(`No files match ${pointer}`);
+    }
+
+    for (const { file, output } of results) {
+      if (output !== undefined) {
+        await fs.writeFile(file, output);
+        this._loader.evict(file);
+      }
+    }
+
+    //Once fixed, only the problems that couldn't be are left
+    const problems = results.flatMap(({ file, problems }) =>
+      problems
+        .filter(({ fixable }) => !fix || !fixable)
+        .map((problem) => ({ file: path.relative(cwd, file), ...problem })),
+    );
+
+    if (format === 'json') {
+      await this.write(JSON.stringify(problems, null, 2), options);
+    } else if (format === 'sdl') {
+      const lines = problems.map(
+        ({ file, line, column, rule, message }) =>
+          `${GraphQLImportError.formatLocation(file, line, column)} ${rule} ${message}`,
+      );
+
+      await this.write(lines.join('\n') || 'No problems', options);
+    } else {
+      throw new Error(`The ${format} format is not supported by lint`);
+    }
+
+    return problems.length ? 1 : 0;
+  }
+}
+
+module.exports = { CommandLine };
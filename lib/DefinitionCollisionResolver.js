@@ -0,0 +1,331 @@
+'use strict';
+
+const graphql = require('graphql');
+const { GraphQLImportError } = require('./GraphQLImportError');
+const { DocumentDefinitionFilter } = require('./DocumentDefinitionFilter');
+
+const POLICIES = ['error', 'warn', 'first-wins', 'last-wins', 'merge-roots', 'merge-fields'];
+
+/**
+ * Detects definitions of the same type coming from more than one place and resolves them
+ * according to a collision policy.
+ */
+class DefinitionCollisionResolver {
+  constructor(policy = 'last-wins') {
+    if (!POLICIES.includes(policy)) {
+      throw new Error(
+        `Unknown collision policy "${policy}", expected one of: ${POLICIES.join(', ')}`,
+      );
+    }
+    this._policy = policy;
+  }
+  static get policies() {
+    return [...POLICIES];
+  }
+  /**
+   * Whether root operation types are merged and schema definitions reconciled into one
+   * @returns
+   */
+  get mergesRootTypes() {
+    return this._policy === 'merge-roots' || this._policy === 'merge-fields';
+  }
+  static isSchemaDefinition(definition) {
+    return (
+      definition.kind === graphql.Kind.SCHEMA_DEFINITION ||
+      definition.kind === graphql.Kind.SCHEMA_EXTENSION
+    );
+  }
+  /**
+   * The names of the root operation types, as set by any schema definition or extension.
+   * Without a schema definition, `Query`, `Mutation` and `Subscription` are root types too.
+   * @param {*} definitions
+   * @returns
+   */
+  static rootTypeNamesOf(definitions) {
+    const names = new Set();
+    const schemas = definitions.filter(DefinitionCollisionResolver.isSchemaDefinition);
+
+    if (!schemas.some((schema) => schema.kind === graphql.Kind.SCHEMA_DEFINITION)) {
+      names.add('Query').add('Mutation').add('Subscription');
+    }
+    for (const schema of schemas) {
+      for (const operationType of schema.operationTypes || []) {
+        names.add(operationType.type.name.value);
+      }
+    }
+
+    return names;
+  }
+  /**
+   * The schema definitions and root operation types among the definitions
+   * @param {*} definitions
+   * @returns
+   */
+  static rootDefinitionsOf(definitions) {
+    const rootTypeNames = DefinitionCollisionResolver.rootTypeNamesOf(definitions);
+
+    return definitions.filter(
+      (definition) =>
+        DefinitionCollisionResolver.isSchemaDefinition(definition) ||
+        (definition.kind === graphql.Kind.OBJECT_TYPE_DEFINITION &&
+          rootTypeNames.has(definition.name.value)),
+    );
+  }
+  /**
+   * Folds every schema definition and extension into the first of them. The result is a schema
+   * definition if any of them was one, otherwise a schema extension.
+   * @param {*} definitions
+   * @returns the definitions with a single schema definition or extension
+   */
+  static reconcileSchema(definitions) {
+    const schemas = definitions.filter(DefinitionCollisionResolver.isSchemaDefinition);
+
+    if (schemas.length < 2) {
+      return definitions;
+    }
+
+    const operationTypes = [];
+    const directives = [];
+
+    for (const schema of schemas) {
+      for (const operationType of schema.operationTypes || []) {
+        const other = operationTypes.find(({ operation }) => operation === operationType.operation);
+
+        if (!other) {
+          operationTypes.push(operationType);
+          continue;
+        }
+        if (other.type.name.value !== operationType.type.name.value) {
+          throw new GraphQLImportError(
+            `Conflicting "schema.${operationType.operation}": defined at` +
+              ` ${DefinitionCollisionResolver.locationOf(other)}` +
+              ` and at ${DefinitionCollisionResolver.locationOf(operationType)}`,
+            {
+              code: 'FIELD_CONFLICT',
+              ...DefinitionCollisionResolver.errorLocationOf(operationType),
+            },
+          );
+        }
+      }
+      for (const directive of schema.directives || []) {
+        if (!directives.some((other) => graphql.print(other) === graphql.print(directive))) {
+          directives.push(directive);
+        }
+      }
+    }
+
+    const definition = schemas.find((schema) => schema.kind === graphql.Kind.SCHEMA_DEFINITION);
+    const reconciled = {
+      ...(definition || schemas[0]),
+      operationTypes,
+      directives,
+    };
+    return definitions.flatMap((other) => {
+      if (other === schemas[0]) {
+        return [reconciled];
+      }
+      return schemas.includes(other) ? [] : [other];
+    });
+  }
+  /**
+   * Describes where a definition came from as `file:line:column`.
+   * @param {*} node an AST node parsed with a named source
+   * @returns
+   */
+  static locationOf(node) {
+    const { file, line, column } = DefinitionCollisionResolver.errorLocationOf(node);
+
+    return file ? GraphQLImportError.formatLocation(file, line, column) : '<unknown>';
+  }
+  /**
+   * Directives live in their own namespace, so `directive @A` and `type A` don't collide.
+   * Types, fragments and named operations share the namespace imports are resolved in.
+   * Extensions, schema definitions and anonymous operations are never collisions.
+   * @param {*} definition
+   * @returns
+   */
+  static collisionKeyOf(definition) {
+    if (definition.kind === graphql.Kind.DIRECTIVE_DEFINITION) {
+      return '@' + definition.name.value;
+    }
+    if (
+      graphql.isTypeDefinitionNode(definition) ||
+      definition.kind === graphql.Kind.FRAGMENT_DEFINITION ||
+      (definition.kind === graphql.Kind.OPERATION_DEFINITION && definition.name)
+    ) {
+      return definition.name.value;
+    }
+  }
+  /**
+   * The `file`, `line` and `column` of a node, as reported by GraphQLImportError
+   * @param {*} node
+   * @returns
+   */
+  static errorLocationOf(node) {
+    if (!node.loc || !node.loc.source) {
+      return {};
+    }
+
+    const { line, column } = graphql.getLocation(node.loc.source, node.loc.start);
+
+    return { file: node.loc.source.name, line, column };
+  }
+  static collisionMessage(existing, definition) {
+    const key = DefinitionCollisionResolver.collisionKeyOf(definition);
+
+    return (
+      `Definition "${key}" collides: defined at ${DefinitionCollisionResolver.locationOf(existing)}` +
+      ` and at ${DefinitionCollisionResolver.locationOf(definition)}`
+    );
+  }
+  /**
+   * Merges the fields (or values, or member types) of two definitions of the same type.
+   * Fields that exist in both must be identical.
+   * @param {*} existing
+   * @param {*} definition
+   * @returns
+   */
+  static mergeDefinitions(existing, definition) {
+    if (existing.kind !== definition.kind) {
+      throw new GraphQLImportError(
+        `${DefinitionCollisionResolver.collisionMessage(existing, definition)}` +
+          ` with different kinds (${existing.kind}, ${definition.kind})`,
+        { code: 'TYPE_COLLISION', ...DefinitionCollisionResolver.errorLocationOf(definition) },
+      );
+    }
+
+    const listKey = {
+      [graphql.Kind.OBJECT_TYPE_DEFINITION]: 'fields',
+      [graphql.Kind.INTERFACE_TYPE_DEFINITION]: 'fields',
+      [graphql.Kind.INPUT_OBJECT_TYPE_DEFINITION]: 'fields',
+      [graphql.Kind.ENUM_TYPE_DEFINITION]: 'values',
+      [graphql.Kind.UNION_TYPE_DEFINITION]: 'types',
+    }[definition.kind];
+
+    if (!listKey) {
+      //Scalars and directives can only be merged if they are the same
+      if (graphql.print(existing) !== graphql.print(definition)) {
+        throw new GraphQLImportError(
+          `${DefinitionCollisionResolver.collisionMessage(existing, definition)} with different definitions`,
+          { code: 'TYPE_COLLISION', ...DefinitionCollisionResolver.errorLocationOf(definition) },
+        );
+      }
+      return existing;
+    }
+
+    const merged = { ...existing, [listKey]: [...existing[listKey]] };
+
+    for (const item of definition[listKey]) {
+      const name = item.name.value;
+      const index = merged[listKey].findIndex((other) => other.name.value === name);
+
+      if (index === -1) {
+        merged[listKey].push(item);
+        continue;
+      }
+
+      const other = merged[listKey][index];
+
+      //Descriptions don't make two fields incompatible
+      if (
+        graphql.print({ ...other, description: undefined }) !==
+        graphql.print({ ...item, description: undefined })
+      ) {
+        throw new GraphQLImportError(
+          `Conflicting "${definition.name.value}.${name}": defined at` +
+            ` ${DefinitionCollisionResolver.locationOf(other)}` +
+            ` and at ${DefinitionCollisionResolver.locationOf(item)}`,
+          { code: 'FIELD_CONFLICT', ...DefinitionCollisionResolver.errorLocationOf(item) },
+        );
+      }
+    }
+
+    if (existing.interfaces) {
+      const interfaces = [...existing.interfaces];
+
+      for (const iface of definition.interfaces || []) {
+        if (!interfaces.some((other) => other.name.value === iface.name.value)) {
+          interfaces.push(iface);
+        }
+      }
+      merged.interfaces = interfaces;
+    }
+
+    return merged;
+  }
+  /**
+   * Returns the definitions with collisions resolved, keeping the order in which each
+   * surviving definition was first seen.
+   * @param {*} definitions
+   * @returns
+   */
+  resolve(definitions) {
+    const rootTypeNames = this.mergesRootTypes
+      ? DefinitionCollisionResolver.rootTypeNamesOf(definitions)
+      : new Set();
+    const resolved = [];
+    const seen = new Set();
+    const indexes = new Map();
+
+    for (const definition of definitions) {
+      //The same node can be reached through more than one import
+      if (seen.has(definition)) {
+        continue;
+      }
+      seen.add(definition);
+
+      const key = DefinitionCollisionResolver.collisionKeyOf(definition);
+
+      if (!key || !indexes.has(key)) {
+        if (key) {
+          indexes.set(key, resolved.length);
+        }
+        resolved.push(definition);
+        continue;
+      }
+
+      const index = indexes.get(key);
+      const existing = resolved[index];
+
+      //Fields imported from the same type in different places always make up one type
+      if (
+        DocumentDefinitionFilter.isFieldSelection(existing) &&
+        DocumentDefinitionFilter.isFieldSelection(definition)
+      ) {
+        resolved[index] = DocumentDefinitionFilter.asFieldSelection(
+          DefinitionCollisionResolver.mergeDefinitions(existing, definition),
+        );
+        continue;
+      }
+
+      switch (this._policy) {
+        case 'error':
+          throw new GraphQLImportError(
+            DefinitionCollisionResolver.collisionMessage(existing, definition),
+            { code: 'TYPE_COLLISION', ...DefinitionCollisionResolver.errorLocationOf(definition) },
+          );
+        case 'warn':
+          process.emitWarning(DefinitionCollisionResolver.collisionMessage(existing, definition));
+          resolved[index] = definition;
+          break;
+        case 'first-wins':
+          break;
+        case 'last-wins':
+          resolved[index] = definition;
+          break;
+        case 'merge-roots':
+          resolved[index] = rootTypeNames.has(key)
+            ? DefinitionCollisionResolver.mergeDefinitions(existing, definition)
+            : definition;
+          break;
+        case 'merge-fields':
+          resolved[index] = DefinitionCollisionResolver.mergeDefinitions(existing, definition);
+          break;
+      }
+    }
+
+    return this.mergesRootTypes ? DefinitionCollisionResolver.reconcileSchema(resolved) : resolved;
+  }
+}
+
+module.exports = { DefinitionCollisionResolver };
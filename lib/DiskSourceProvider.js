@@ -0,0 +1,60 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const glob = require('glob-promise');
+const { sync: globSync } = require('glob');
+
+/**
+ * Reads sources from the file system. This is the default source provider.
+ *
+ * A source provider implements:
+ * - `read(fileName)` - resolves the contents of a file, rejecting with an `ENOENT` code if missing
+ * - `readSync(fileName)` - optional, for the sync API, returns the contents of a file
+ * - `exists(fileName)` - synchronously checks a file exists
+ * - `glob(pattern, { cwd, ignore })` - resolves the file names matching a pattern, relative to cwd
+ * - `globSync(pattern, { cwd, ignore })` - optional, for the sync API, returns the matching file names
+ * - `watch(fileName, listener)` - optional, calls the listener when a file changes and returns
+ * a watcher with a `close` method
+ */
+class DiskSourceProvider {
+  async read(fileName) {
+    return (await fs.promises.readFile(fileName)).toString();
+  }
+  readSync(fileName) {
+    return fs.readFileSync(fileName).toString();
+  }
+  exists(fileName) {
+    return fs.existsSync(fileName);
+  }
+  glob(pattern, { cwd = process.cwd(), ignore = [] } = {}) {
+    return glob(pattern, { cwd, ignore: DiskSourceProvider.ignoresFor(pattern, cwd, ignore) });
+  }
+  globSync(pattern, { cwd = process.cwd(), ignore = [] } = {}) {
+    return globSync(pattern, { cwd, ignore: DiskSourceProvider.ignoresFor(pattern, cwd, ignore) });
+  }
+  /**
+   * Absolute patterns match absolute file names, so relative ignore patterns are made absolute
+   * against cwd to still apply
+   * @param {*} pattern
+   * @param {*} cwd
+   * @param {*} ignore a pattern or list of patterns
+   * @returns
+   */
+  static ignoresFor(pattern, cwd, ignore) {
+    const ignored = [].concat(ignore);
+
+    if (!path.isAbsolute(pattern)) {
+      return ignored;
+    }
+
+    return ignored.map((ignore) =>
+      path.isAbsolute(ignore) ? ignore : path.resolve(cwd, ignore).split(path.sep).join('/'),
+    );
+  }
+  watch(fileName, listener) {
+    return fs.watch(fileName, listener);
+  }
+}
+
+module.exports = { DiskSourceProvider };
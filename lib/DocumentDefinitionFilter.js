@@ -2,11 +2,18 @@
 
 const graphql = require('graphql');
 
+//The schema definition has no name of its own, so it's looked up by one no type can have
+const SCHEMA_NAME = '@schema';
+
+//Copies of types with only some of their fields, made for imports like `Query.user`
+const fieldSelections = new WeakSet();
+
 class TypeMap {
   constructor(definitions) {
     this._types = {};
     this._typeExtensions = {};
     this._operations = {};
+    this._fragments = {};
     this._interfaceImplementations = {};
     this._schema = undefined;
     this._schemaExtensions = [];
@@ -27,6 +34,14 @@ class TypeMap {
     ].includes(type.kind);
   }
   addType(type) {
+    if (type.kind === graphql.Kind.OPERATION_DEFINITION) {
+      this._operations[DocumentDefinitionFilter.nameOf(type)] = type;
+      return;
+    }
+    if (type.kind === graphql.Kind.FRAGMENT_DEFINITION) {
+      this._fragments[type.name.value] = type;
+      return;
+    }
     if (type.kind === graphql.Kind.SCHEMA_DEFINITION) {
       this._schema = type;
       return;
@@ -38,7 +53,9 @@ class TypeMap {
 
     if (
       type.kind === graphql.Kind.OBJECT_TYPE_DEFINITION ||
-      type.kind === graphql.Kind.OBJECT_TYPE_EXTENSION
+      type.kind === graphql.Kind.OBJECT_TYPE_EXTENSION ||
+      type.kind === graphql.Kind.INTERFACE_TYPE_DEFINITION ||
+      type.kind === graphql.Kind.INTERFACE_TYPE_EXTENSION
     ) {
       this.addInterfacesFor(type);
     }
@@ -65,7 +82,27 @@ class TypeMap {
   getType(typeName) {
     return this._types[typeName];
   }
+  getFragment(fragmentName) {
+    return this._fragments[fragmentName];
+  }
+  getOperation(operationName) {
+    return this._operations[operationName];
+  }
+  /**
+   * Types, fragments and operations share the names that can be imported
+   * @param {*} name
+   * @returns
+   */
+  getDefinition(name) {
+    if (name === SCHEMA_NAME) {
+      return this.getSchema().schema;
+    }
+    return this.getType(name) || this.getFragment(name) || this.getOperation(name);
+  }
   getTypeExtensions(typeName) {
+    if (typeName === SCHEMA_NAME) {
+      return this.getSchema().extensions;
+    }
     return this._typeExtensions[typeName] || [];
   }
   getImplementationsOf(interfaceName) {
@@ -86,6 +123,60 @@ class DocumentDefinitionFilter {
   constructor() {
     this._typeMaps = new WeakMap();
   }
+  /**
+   * The name a definition is looked up by. Anonymous operations are keyed by an empty name and
+   * schema definitions and extensions by `@schema`.
+   * @param {*} definition
+   * @returns
+   */
+  static nameOf(definition) {
+    if (definition.kind === graphql.Kind.OPERATION_DEFINITION && !definition.name) {
+      return '';
+    }
+    if (
+      definition.kind === graphql.Kind.SCHEMA_DEFINITION ||
+      definition.kind === graphql.Kind.SCHEMA_EXTENSION
+    ) {
+      return SCHEMA_NAME;
+    }
+    return definition.name && definition.name.value;
+  }
+  /**
+   * Splits an imported name like `Query.user` into the type and the field it selects.
+   * `Query.*` and `Query` import the whole type.
+   * @param {*} name
+   * @returns `{ typeName, fieldName }`, without a `fieldName` if the whole type is imported
+   */
+  static splitFieldName(name) {
+    const [typeName, fieldName] = name.split('.');
+
+    return { typeName, fieldName: fieldName === '*' ? undefined : fieldName };
+  }
+  /**
+   * Marks a definition as a copy with only some of the fields of its type
+   * @param {*} definition
+   * @returns the definition
+   */
+  static asFieldSelection(definition) {
+    fieldSelections.add(definition);
+
+    return definition;
+  }
+  static isFieldSelection(definition) {
+    return fieldSelections.has(definition);
+  }
+  /**
+   * A copy of a definition or extension with only the named fields
+   * @param {*} definition
+   * @param {*} fieldNames
+   * @returns
+   */
+  static selectFields(definition, fieldNames) {
+    return DocumentDefinitionFilter.asFieldSelection({
+      ...definition,
+      fields: (definition.fields || []).filter((field) => fieldNames.has(field.name.value)),
+    });
+  }
   static isBuiltInType(typeName) {
     return (
       typeName === 'String' ||
@@ -132,7 +223,8 @@ class DocumentDefinitionFilter {
       definition.kind === graphql.Kind.INTERFACE_TYPE_EXTENSION ||
       definition.kind === graphql.Kind.SCALAR_TYPE_EXTENSION ||
       definition.kind === graphql.Kind.INPUT_OBJECT_TYPE_EXTENSION ||
-      definition.kind === graphql.Kind.ENUM_TYPE_EXTENSION
+      definition.kind === graphql.Kind.ENUM_TYPE_EXTENSION ||
+      definition.kind === graphql.Kind.SCHEMA_EXTENSION
     );
   }
   static addArgumentTypes(field) {
@@ -147,6 +239,8 @@ class DocumentDefinitionFilter {
       if (!DocumentDefinitionFilter.isBuiltInType(argType)) {
         dependencies.push(argType);
       }
+
+      dependencies.push(...(arg.directives || []).map((directive) => directive.name.value));
     }
     return dependencies;
   }
@@ -166,6 +260,22 @@ class DocumentDefinitionFilter {
     }
     return dependencies;
   }
+  /**
+   * Finds the names of the fragments spread anywhere in a selection set
+   * @param {*} node
+   * @returns
+   */
+  static addFragmentSpreads(node) {
+    const dependencies = [];
+
+    graphql.visit(node.selectionSet, {
+      FragmentSpread(spread) {
+        dependencies.push(spread.name.value);
+      },
+    });
+
+    return dependencies;
+  }
   static addTransitiveTypes(definition) {
     const dependencies = [];
 
@@ -175,22 +285,32 @@ class DocumentDefinitionFilter {
     }
 
     if (
+      definition.kind === graphql.Kind.OBJECT_TYPE_DEFINITION ||
+      definition.kind === graphql.Kind.OBJECT_TYPE_EXTENSION ||
       definition.kind === graphql.Kind.INTERFACE_TYPE_DEFINITION ||
       definition.kind === graphql.Kind.INTERFACE_TYPE_EXTENSION
     ) {
+      //Visit the interfaces, which interfaces can implement too
+      dependencies.push(...(definition.interfaces || []).map((iface) => iface.name.value));
       //Visit field types
       dependencies.push(...DocumentDefinitionFilter.addFieldTypes(definition));
     } else if (
-      definition.kind === graphql.Kind.OBJECT_TYPE_DEFINITION ||
-      definition.kind === graphql.Kind.OBJECT_TYPE_EXTENSION ||
-      definition.kind === graphql.Kind.INPUT_OBJECT_TYPE_DEFINITION
+      definition.kind === graphql.Kind.INPUT_OBJECT_TYPE_DEFINITION ||
+      definition.kind === graphql.Kind.INPUT_OBJECT_TYPE_EXTENSION
     ) {
-      //Visit the interfaces
-      if (definition.kind !== graphql.Kind.INPUT_OBJECT_TYPE_DEFINITION) {
-        dependencies.push(...definition.interfaces.map((iface) => iface.name.value));
-      }
       //Visit field types
       dependencies.push(...DocumentDefinitionFilter.addFieldTypes(definition));
+    } else if (definition.kind === graphql.Kind.DIRECTIVE_DEFINITION) {
+      //Visit the argument types, which include the enums of any default values
+      dependencies.push(...DocumentDefinitionFilter.addArgumentTypes(definition));
+    } else if (
+      definition.kind === graphql.Kind.SCHEMA_DEFINITION ||
+      definition.kind === graphql.Kind.SCHEMA_EXTENSION
+    ) {
+      //Visit the root operation types
+      dependencies.push(
+        ...(definition.operationTypes || []).map((operationType) => operationType.type.name.value),
+      );
     } else if (
       definition.kind === graphql.Kind.UNION_TYPE_DEFINITION ||
       definition.kind === graphql.Kind.UNION_TYPE_EXTENSION
@@ -205,13 +325,64 @@ class DocumentDefinitionFilter {
       for (const value of definition.values) {
         dependencies.push(...value.directives.map((directive) => directive.name.value));
       }
+    } else if (
+      definition.kind === graphql.Kind.OPERATION_DEFINITION ||
+      definition.kind === graphql.Kind.FRAGMENT_DEFINITION
+    ) {
+      //Visit the fragments spread in the selections
+      dependencies.push(...DocumentDefinitionFilter.addFragmentSpreads(definition));
     }
 
     return dependencies;
   }
+  /**
+   * Renames types, fragments and directives in a document, both where they are defined and
+   * everywhere they are referenced.
+   * @param {*} document
+   * @param {*} renames an object of old names to new names
+   * @returns a new document, sharing the definitions that didn't change
+   */
+  static rename(document, renames) {
+    const renameNode = (node) => {
+      if (node.name && Object.prototype.hasOwnProperty.call(renames, node.name.value)) {
+        return { ...node, name: { ...node.name, value: renames[node.name.value] } };
+      }
+    };
+
+    return graphql.visit(document, {
+      NamedType: renameNode,
+      FragmentSpread: renameNode,
+      Directive: renameNode,
+      DirectiveDefinition: renameNode,
+      FragmentDefinition: renameNode,
+      ObjectTypeDefinition: renameNode,
+      ObjectTypeExtension: renameNode,
+      InterfaceTypeDefinition: renameNode,
+      InterfaceTypeExtension: renameNode,
+      UnionTypeDefinition: renameNode,
+      UnionTypeExtension: renameNode,
+      EnumTypeDefinition: renameNode,
+      EnumTypeExtension: renameNode,
+      ScalarTypeDefinition: renameNode,
+      ScalarTypeExtension: renameNode,
+      InputObjectTypeDefinition: renameNode,
+      InputObjectTypeExtension: renameNode,
+    });
+  }
   filter(document, otherDependencies, types) {
     const visited = new Set();
-    const visiting = [...types];
+    const visiting = [];
+    const selectedFields = new Map();
+
+    for (const name of types) {
+      const { typeName, fieldName } = DocumentDefinitionFilter.splitFieldName(name);
+
+      if (fieldName === undefined) {
+        visiting.push(typeName);
+      } else {
+        selectedFields.set(typeName, (selectedFields.get(typeName) || new Set()).add(fieldName));
+      }
+    }
 
     const mergedDocument = {
       kind: graphql.Kind.DOCUMENT,
@@ -220,31 +391,51 @@ class DocumentDefinitionFilter {
 
     const typeMap = this.getTypeMapFor(mergedDocument); //Should be cached per document
 
+    //Types only some fields are imported from are copied with those fields, and only their
+    //dependencies are walked
+    const selections = new Map();
+
+    for (const [typeName, fieldNames] of selectedFields) {
+      const definition = typeMap.getDefinition(typeName);
+      const copies = [
+        ...(definition ? [DocumentDefinitionFilter.selectFields(definition, fieldNames)] : []),
+        ...typeMap
+          .getTypeExtensions(typeName)
+          .map((extension) => DocumentDefinitionFilter.selectFields(extension, fieldNames))
+          .filter((extension) => extension.fields.length),
+      ];
+
+      for (const copy of copies) {
+        visiting.push(...DocumentDefinitionFilter.addTransitiveTypes(copy));
+      }
+      selections.set(typeName, copies);
+    }
+
     //First pass finds transitive dependencies
     while (visiting.length > 0) {
       const typeName = visiting.pop();
 
-      const definition = typeMap.getType(typeName);
+      //If we've already seen this type we can skip it
+      if (visited.has(typeName)) {
+        continue;
+      }
+
+      const definition = typeMap.getDefinition(typeName);
       const typeExtensions = typeMap.getTypeExtensions(typeName);
       const implementations = typeMap.getImplementationsOf(typeName);
 
       //Add dependencies for definition
       if (definition) {
-        //If we've already seen this definition we can skip it
-        if (!visited.has(typeName)) {
-          visiting.push(...DocumentDefinitionFilter.addTransitiveTypes(definition));
-
-          //Visit the implementations of this type if its a interface
-          if (
-            definition.kind === graphql.Kind.INTERFACE_TYPE_DEFINITION ||
-            definition.kind === graphql.Kind.INTERFACE_TYPE_EXTENSION
-          ) {
-            for (const impl of implementations) {
-              visiting.push(impl);
-            }
+        visiting.push(...DocumentDefinitionFilter.addTransitiveTypes(definition));
+
+        //Visit the implementations of this type if its a interface
+        if (
+          definition.kind === graphql.Kind.INTERFACE_TYPE_DEFINITION ||
+          definition.kind === graphql.Kind.INTERFACE_TYPE_EXTENSION
+        ) {
+          for (const impl of implementations) {
+            visiting.push(impl);
           }
-
-          visited.add(typeName);
         }
       }
 
@@ -252,6 +443,11 @@ class DocumentDefinitionFilter {
       for (const extension of typeExtensions) {
         visiting.push(...DocumentDefinitionFilter.addTransitiveTypes(extension));
       }
+
+      //Extensions are kept even without a definition, which may come from another file
+      if (definition || typeExtensions.length) {
+        visited.add(typeName);
+      }
     }
 
     const added = new Set();
@@ -262,7 +458,7 @@ class DocumentDefinitionFilter {
 
     //Second pass selects only our known dependencies from the typemap
     for (const typeName of visited) {
-      const definition = typeMap.getType(typeName);
+      const definition = typeMap.getDefinition(typeName);
       const typeExtensions = typeMap.getTypeExtensions(typeName);
       let toAdd = [];
 
@@ -274,8 +470,9 @@ class DocumentDefinitionFilter {
        */
       const addExtensions = function (typeExtensions = [], push) {
         for (const extension of typeExtensions) {
-          const extensionName = extension.kind + extension.name.value;
           if (!DocumentDefinitionFilter.extensionType(extension)) {
+            const extensionName = extension.kind + extension.name.value;
+
             if (added.has(extensionName)) {
               continue;
             }
@@ -304,6 +501,13 @@ class DocumentDefinitionFilter {
       toAdd = [];
     }
 
+    //The copies come after their dependencies, unless the whole type is needed anyway
+    for (const [typeName, copies] of selections) {
+      if (!visited.has(typeName)) {
+        newDocument.definitions.push(...copies);
+      }
+    }
+
     return newDocument;
   }
 }
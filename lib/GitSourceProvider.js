@@ -0,0 +1,182 @@
+'use strict';
+
+const { execFile, execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const minimatch = require('minimatch');
+const { DiskSourceProvider } = require('./DiskSourceProvider');
+
+const execFileAsync = util.promisify(execFile);
+const MAX_BUFFER = 64 * 1024 * 1024;
+
+/**
+ * Reads sources from a git revision instead of the working tree, so a schema can be loaded as it
+ * was at a commit, branch or tag without checking it out. File names are the paths the files
+ * would have in the working tree of `cwd`.
+ *
+ * Files the revision can't have, because they are outside the repository or ignored by git like
+ * installed packages in node_modules, are read from disk.
+ */
+class GitSourceProvider {
+  /**
+   * @param {*} options `revision` to read, and `cwd`, a directory in the repository
+   */
+  constructor({ revision = 'HEAD', cwd = process.cwd() } = {}) {
+    this._revision = revision;
+    this._cwd = GitSourceProvider.realpathOf(path.resolve(cwd));
+    this._root = undefined;
+    this._files = undefined;
+    this._onDisk = new Map();
+  }
+  get revision() {
+    return this._revision;
+  }
+  /**
+   * Resolves the symlinks in a file name like git resolves the top level directory, so names
+   * reached through a symlinked checkout match the files in the revision. A file that doesn't
+   * exist on disk, like one deleted since the revision, is resolved through its directory.
+   * @param {*} fileName an absolute file name
+   * @returns
+   */
+  static realpathOf(fileName) {
+    try {
+      return fs.realpathSync(fileName);
+    } catch (error) {
+      const directory = path.dirname(fileName);
+
+      return directory === fileName
+        ? fileName
+        : path.join(GitSourceProvider.realpathOf(directory), path.basename(fileName));
+    }
+  }
+  git(args) {
+    return execFileSync('git', args, {
+      cwd: this._cwd,
+      maxBuffer: MAX_BUFFER,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    }).toString();
+  }
+  /**
+   * The top level directory of the repository
+   * @returns
+   */
+  get root() {
+    if (this._root === undefined) {
+      this._root = this.git(['rev-parse', '--show-toplevel']).trim();
+    }
+    return this._root;
+  }
+  /**
+   * The absolute file name of every file in the revision, listed once
+   * @returns
+   */
+  get files() {
+    if (this._files === undefined) {
+      this._files = new Set(
+        this.git(['ls-tree', '-r', '-z', '--name-only', '--full-tree', this._revision])
+          .split('\0')
+          .filter(Boolean)
+          .map((file) => path.join(this.root, file)),
+      );
+    }
+    return this._files;
+  }
+  /**
+   * Whether a file is read from disk rather than from the revision: a file outside the
+   * repository, or one git ignores
+   * @param {*} absolutePath a file name with its symlinks resolved
+   * @returns
+   */
+  isOnDisk(absolutePath) {
+    if (this.files.has(absolutePath)) {
+      return false;
+    }
+    if (!this._onDisk.has(absolutePath)) {
+      const relative = path.relative(this.root, absolutePath);
+      let onDisk = relative.startsWith('..') || path.isAbsolute(relative);
+
+      if (!onDisk) {
+        try {
+          this.git(['check-ignore', '-q', path.relative(this._cwd, absolutePath)]);
+          onDisk = true;
+        } catch (error) {
+          //check-ignore exits with 1 when the file isn't ignored
+        }
+      }
+      this._onDisk.set(absolutePath, onDisk);
+    }
+    return this._onDisk.get(absolutePath);
+  }
+  /**
+   * The `revision:path` git reads a file from, throwing an `ENOENT` error if it isn't there
+   * @param {*} fileName
+   * @returns
+   */
+  objectOf(fileName) {
+    const absolutePath = GitSourceProvider.realpathOf(path.resolve(this._cwd, fileName));
+
+    if (!this.files.has(absolutePath)) {
+      const error = new Error(`ENOENT: no such file in ${this._revision}, open '${absolutePath}'`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+
+    return `${this._revision}:${path.relative(this.root, absolutePath).split(path.sep).join('/')}`;
+  }
+  async read(fileName) {
+    const absolutePath = GitSourceProvider.realpathOf(path.resolve(this._cwd, fileName));
+
+    if (this.isOnDisk(absolutePath)) {
+      return (await fs.promises.readFile(absolutePath)).toString();
+    }
+
+    const { stdout } = await execFileAsync('git', ['show', this.objectOf(fileName)], {
+      cwd: this._cwd,
+      maxBuffer: MAX_BUFFER,
+    });
+
+    return stdout;
+  }
+  readSync(fileName) {
+    const absolutePath = GitSourceProvider.realpathOf(path.resolve(this._cwd, fileName));
+
+    if (this.isOnDisk(absolutePath)) {
+      return fs.readFileSync(absolutePath).toString();
+    }
+
+    return this.git(['show', this.objectOf(fileName)]);
+  }
+  exists(fileName) {
+    const absolutePath = GitSourceProvider.realpathOf(path.resolve(this._cwd, fileName));
+
+    return (
+      this.files.has(absolutePath) || (this.isOnDisk(absolutePath) && fs.existsSync(absolutePath))
+    );
+  }
+  async glob(pattern, options) {
+    return this.globSync(pattern, options);
+  }
+  globSync(pattern, { cwd = this._cwd, ignore = [] } = {}) {
+    const absolute = path.isAbsolute(pattern);
+
+    cwd = GitSourceProvider.realpathOf(path.resolve(cwd));
+    pattern = absolute ? GitSourceProvider.realpathOf(pattern) : pattern;
+
+    const ignored = DiskSourceProvider.ignoresFor(pattern, cwd, ignore);
+
+    return [...this.files]
+      .map((fileName) =>
+        absolute ? fileName : path.relative(cwd, fileName).split(path.sep).join('/'),
+      )
+      .filter(
+        (fileName) =>
+          (absolute || !fileName.startsWith('../')) &&
+          minimatch(fileName, pattern) &&
+          !ignored.some((ignore) => minimatch(fileName, ignore)),
+      )
+      .sort();
+  }
+}
+
+module.exports = { GitSourceProvider };
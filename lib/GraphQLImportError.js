@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+ * An error in resolving imports, located at the file and statement that caused it.
+ *
+ * Codes:
+ * - `IMPORT_SYNTAX` - an #import or #export statement could not be parsed
+ * - `GRAPHQL_SYNTAX` - a file's definitions could not be parsed
+ * - `TYPE_NOT_FOUND` - an imported name is not defined in the target file, or an exported name in
+ * the exporting file
+ * - `TYPE_NOT_EXPORTED` - an imported name is private to a file with #export statements
+ * - `FILE_NOT_FOUND` - an imported file does not exist
+ * - `FILE_UNREADABLE` - an imported file exists but could not be read
+ * - `TYPE_COLLISION` - the same type is defined in more than one place
+ * - `FIELD_CONFLICT` - a field or root operation is defined differently in merged definitions
+ * - `CIRCULAR_RENAME` - a file renaming what it imports is itself imported by the file it renames from
+ */
+class GraphQLImportError extends Error {
+  constructor(message, { code, file, line, column, statement, chain = [], cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'GraphQLImportError';
+    this.code = code;
+    this.file = file;
+    this.line = line;
+    this.column = column;
+    this.statement = statement;
+    this.chain = chain;
+  }
+  /**
+   * Formats a location as `file:line:column`, leaving out what isn't known
+   * @param {*} file
+   * @param {*} line
+   * @param {*} column
+   * @returns
+   */
+  static formatLocation(file, line, column) {
+    return [file, line, column].filter((part) => part !== undefined).join(':');
+  }
+  /**
+   * Up to five of the given names closest to the name, closest first
+   * @param {*} name
+   * @param {*} names
+   * @returns
+   */
+  static suggestionsFor(name, names) {
+    const threshold = Math.floor(name.length * 0.4) + 1;
+
+    return [...new Set(names)]
+      .map((candidate) => ({
+        candidate,
+        distance:
+          candidate.toLowerCase() === name.toLowerCase()
+            ? 0
+            : GraphQLImportError.distanceBetween(name, candidate),
+      }))
+      .filter(({ distance }) => distance <= threshold)
+      .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+      .slice(0, 5)
+      .map(({ candidate }) => candidate);
+  }
+  /**
+   * Levenshtein distance, counting a transposition of two adjacent characters as one edit
+   * @param {*} a
+   * @param {*} b
+   * @returns
+   */
+  static distanceBetween(a, b) {
+    const rows = [];
+
+    for (let i = 0; i <= a.length; i++) {
+      rows.push([i]);
+    }
+    for (let j = 1; j <= b.length; j++) {
+      rows[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+
+        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+
+    return rows[a.length][b.length];
+  }
+}
+
+module.exports = { GraphQLImportError };
@@ -0,0 +1,225 @@
+'use strict';
+
+const graphql = require('graphql');
+
+const OUTPUTS = ['sdl', 'document'];
+const FORMATS = ['esm', 'commonjs'];
+
+//Names that can't be exported as a const
+const RESERVED_WORDS = new Set(
+  (
+    'arguments await break case catch class const continue debugger default delete do else enum ' +
+    'eval export extends false finally for function if implements import in instanceof interface ' +
+    'let new null package private protected public return static super switch this throw true try ' +
+    'typeof var void while with yield'
+  ).split(' '),
+);
+
+/**
+ * Compiles a graphql file and everything it imports into the code of a JavaScript module, for the
+ * bundler plugins, the Jest transform and the require hook. The module's default export is either
+ * the SDL or the parsed document, and with the document each named operation is also a named
+ * export, holding the operation and the fragments it spreads, so unused operations can be
+ * tree-shaken. CommonJS modules export the SDL or document itself, with the operations as
+ * properties of the document.
+ */
+class GraphQLModuleCompiler {
+  /**
+   * @param {*} loader the GraphQLFileLoader files are loaded with
+   * @param {*} options `output` is 'sdl' or 'document', `format` is 'esm' or 'commonjs', and
+   * `collisions` is passed to the loader
+   */
+  constructor(loader, { output = 'sdl', format = 'esm', collisions } = {}) {
+    if (!OUTPUTS.includes(output)) {
+      throw new Error(`Unknown output "${output}", expected one of: ${OUTPUTS.join(', ')}`);
+    }
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown format "${format}", expected one of: ${FORMATS.join(', ')}`);
+    }
+
+    this._loader = loader;
+    this._output = output;
+    this._format = format;
+    this._collisions = collisions;
+    this._files = new Set();
+  }
+  static get outputs() {
+    return [...OUTPUTS];
+  }
+  static get formats() {
+    return [...FORMATS];
+  }
+  get output() {
+    return this._output;
+  }
+  get format() {
+    return this._format;
+  }
+  get loader() {
+    return this._loader;
+  }
+  /**
+   * Loads and compiles a file
+   * @param {*} fileName an absolute file name
+   * @returns `{ code, files }` where `files` are the file and every file it imports, to be
+   * watched. If loading failed there's an `error` instead of `code`, and `files` are those known
+   * to be involved.
+   */
+  async compile(fileName) {
+    try {
+      const document = await this._loader.loadDocument(fileName, { collisions: this._collisions });
+      const graph = await this._loader.getImportGraphFrom(fileName);
+
+      return { code: this.generate(document), files: this.track(graph.files) };
+    } catch (error) {
+      return { error, files: this.track(await this.failedFiles(fileName, error)) };
+    }
+  }
+  compileSync(fileName) {
+    try {
+      const document = this._loader.loadDocumentSync(fileName, { collisions: this._collisions });
+      const graph = this._loader.getImportGraphFromSync(fileName);
+
+      return { code: this.generate(document), files: this.track(graph.files) };
+    } catch (error) {
+      return { error, files: this.track(this.failedFilesSync(fileName, error)) };
+    }
+  }
+  /**
+   * The files involved in a failed compile: the import graph, which is usually known even when
+   * loading fails, or else the files the error names
+   * @param {*} fileName
+   * @param {*} error
+   * @returns
+   */
+  async failedFiles(fileName, error) {
+    try {
+      return (await this._loader.getImportGraphFrom(fileName)).files;
+    } catch {
+      return [fileName, ...(error.chain || [])];
+    }
+  }
+  failedFilesSync(fileName, error) {
+    try {
+      return this._loader.getImportGraphFromSync(fileName).files;
+    } catch {
+      return [fileName, ...(error.chain || [])];
+    }
+  }
+  track(files) {
+    const unique = [...new Set(files)];
+
+    for (const file of unique) {
+      this._files.add(file);
+    }
+
+    return unique;
+  }
+  /**
+   * The code of a module exporting the document
+   * @param {*} document
+   * @returns
+   */
+  generate(document) {
+    const commonjs = this._format === 'commonjs';
+
+    if (this._output === 'sdl') {
+      const sdl = JSON.stringify(graphql.print(document));
+
+      return commonjs ? `module.exports = ${sdl};\n` : `export default ${sdl};\n`;
+    }
+
+    //Operation names can't start with __, so they never collide with the document's binding
+    const lines = [`const __document = ${GraphQLModuleCompiler.stringify(document)};`];
+
+    for (const [name, operation] of GraphQLModuleCompiler.operationsOf(document)) {
+      const json = GraphQLModuleCompiler.stringify(operation);
+
+      //A property can't replace the document's own
+      if (!commonjs) {
+        lines.push(`export const ${name} = ${json};`);
+      } else if (!Object.prototype.hasOwnProperty.call(document, name)) {
+        lines.push(`__document.${name} = ${json};`);
+      }
+    }
+    lines.push(commonjs ? 'module.exports = __document;' : 'export default __document;', '');
+
+    return lines.join('\n');
+  }
+  /**
+   * JSON of a document without its locations, which refer to sources the module doesn't have
+   * @param {*} document
+   * @returns
+   */
+  static stringify(document) {
+    return JSON.stringify(document, (key, value) => (key === 'loc' ? undefined : value));
+  }
+  /**
+   * A document for each named operation that can be exported by its name, with the fragments the
+   * operation spreads, directly or through other fragments
+   * @param {*} document
+   * @returns a map of operation names to documents
+   */
+  static operationsOf(document) {
+    const fragments = new Map();
+    const operations = new Map();
+
+    for (const definition of document.definitions) {
+      if (definition.kind === graphql.Kind.FRAGMENT_DEFINITION) {
+        fragments.set(definition.name.value, definition);
+      }
+    }
+
+    for (const definition of document.definitions) {
+      if (
+        definition.kind !== graphql.Kind.OPERATION_DEFINITION ||
+        !definition.name ||
+        RESERVED_WORDS.has(definition.name.value) ||
+        definition.name.value.startsWith('__')
+      ) {
+        continue;
+      }
+
+      const spread = new Set();
+      const visiting = [definition];
+
+      while (visiting.length > 0) {
+        graphql.visit(visiting.pop(), {
+          FragmentSpread(node) {
+            const fragment = fragments.get(node.name.value);
+
+            if (fragment && !spread.has(fragment)) {
+              spread.add(fragment);
+              visiting.push(fragment);
+            }
+          },
+        });
+      }
+
+      operations.set(definition.name.value, {
+        kind: graphql.Kind.DOCUMENT,
+        definitions: [definition, ...spread],
+      });
+    }
+
+    return operations;
+  }
+  /**
+   * Evicts a changed file, so it's read again by the next compile
+   * @param {*} fileName
+   */
+  evict(fileName) {
+    this._loader.evict(fileName);
+  }
+  /**
+   * Evicts every file compiled so far, for bundlers that don't tell which files changed
+   */
+  reset() {
+    for (const fileName of this._files) {
+      this._loader.evict(fileName);
+    }
+    this._files.clear();
+  }
+}
+
+module.exports = { GraphQLModuleCompiler };
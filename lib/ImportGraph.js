@@ -0,0 +1,179 @@
+'use strict';
+
+const path = require('path');
+
+/**
+ * The files of a schema and the #import statements between them
+ */
+class ImportGraph {
+  /**
+   * @param {*} options `files` are the absolute file names in the graph, `edges` are
+   * `{ from, to, types, line, column, statement }` for every import statement, `entries` are the
+   * files the schema is loaded from and `cwd` is what paths are printed relative to
+   */
+  constructor({ files = [], edges = [], entries = [], cwd = process.cwd() } = {}) {
+    this._files = [...new Set(files)];
+    this._edges = edges;
+    this._entries = entries;
+    this._cwd = cwd;
+  }
+  get files() {
+    return [...this._files];
+  }
+  get entries() {
+    return [...this._entries];
+  }
+  get nodes() {
+    return this._files.map((file) => ({ file, entry: this._entries.includes(file) }));
+  }
+  get edges() {
+    return [...this._edges];
+  }
+  importsOf(file) {
+    return this._edges.filter((edge) => edge.from === file);
+  }
+  importersOf(file) {
+    return this._edges.filter((edge) => edge.to === file);
+  }
+  /**
+   * The files reachable by following imports from the given files
+   * @param {*} files
+   * @returns
+   */
+  reachableFrom(files = this._entries) {
+    const reachable = new Set();
+    const visiting = [...files];
+
+    while (visiting.length > 0) {
+      const file = visiting.pop();
+
+      if (reachable.has(file)) {
+        continue;
+      }
+      reachable.add(file);
+
+      for (const { to } of this.importsOf(file)) {
+        visiting.push(to);
+      }
+    }
+
+    return reachable;
+  }
+  /**
+   * The files no entry point reaches
+   * @returns
+   */
+  orphans() {
+    const reachable = this.reachableFrom();
+
+    return this._files.filter((file) => !reachable.has(file));
+  }
+  /**
+   * The groups of files that import each other, directly or through other files. Each group is a
+   * strongly connected component of the graph, in the order its files were added.
+   * @returns
+   */
+  cycles() {
+    const indexes = new Map();
+    const lowLinks = new Map();
+    const stack = [];
+    const cycles = [];
+    let index = 0;
+
+    //Tarjan's algorithm
+    const connect = (file) => {
+      indexes.set(file, index);
+      lowLinks.set(file, index);
+      index++;
+      stack.push(file);
+
+      for (const { to } of this.importsOf(file)) {
+        if (!indexes.has(to)) {
+          connect(to);
+          lowLinks.set(file, Math.min(lowLinks.get(file), lowLinks.get(to)));
+        } else if (stack.includes(to)) {
+          lowLinks.set(file, Math.min(lowLinks.get(file), indexes.get(to)));
+        }
+      }
+
+      if (lowLinks.get(file) !== indexes.get(file)) {
+        return;
+      }
+
+      const component = [];
+      let member;
+
+      do {
+        member = stack.pop();
+        component.push(member);
+      } while (member !== file);
+
+      const importsItself = this.importsOf(file).some(({ to }) => to === file);
+
+      if (component.length > 1 || importsItself) {
+        cycles.push(this._files.filter((other) => component.includes(other)));
+      }
+    };
+
+    for (const file of this._files) {
+      if (!indexes.has(file)) {
+        connect(file);
+      }
+    }
+
+    return cycles;
+  }
+  /**
+   * The files imported by the most other files first
+   * @returns `{ file, importers }` for every file
+   */
+  fanIn() {
+    return this._files
+      .map((file) => ({
+        file,
+        importers: [...new Set(this.importersOf(file).map(({ from }) => from))],
+      }))
+      .sort((a, b) => b.importers.length - a.importers.length);
+  }
+  relative(file) {
+    return path.relative(this._cwd, file);
+  }
+  /**
+   * The graph in the Graphviz DOT language, with entries in bold and edges labelled by type
+   * @returns
+   */
+  toDOT() {
+    const lines = ['digraph imports {'];
+
+    for (const { file, entry } of this.nodes) {
+      lines.push(`  ${JSON.stringify(this.relative(file))}${entry ? ' [style=bold]' : ''};`);
+    }
+    for (const { from, to, types } of this._edges) {
+      lines.push(
+        `  ${JSON.stringify(this.relative(from))} -> ${JSON.stringify(this.relative(to))}` +
+          ` [label=${JSON.stringify(types.join(', '))}];`,
+      );
+    }
+    lines.push('}');
+
+    return lines.join('\n');
+  }
+  /**
+   * The nodes and edges with paths relative to cwd
+   * @returns
+   */
+  toJSON() {
+    return {
+      nodes: this.nodes.map(({ file, entry }) => ({ file: this.relative(file), entry })),
+      edges: this._edges.map(({ from, to, types, line, column }) => ({
+        from: this.relative(from),
+        to: this.relative(to),
+        types,
+        line,
+        column,
+      })),
+    };
+  }
+}
+
+module.exports = { ImportGraph };
@@ -0,0 +1,537 @@
+'use strict';
+
+const graphql = require('graphql');
+const path = require('path');
+const { DocumentDefinitionFilter } = require('./DocumentDefinitionFilter');
+
+const RULES = [
+  'unresolved-reference',
+  'unused-import',
+  'duplicate-import',
+  'narrowable-import',
+  'unresolved-import',
+  'invalid-file',
+];
+const BUILT_IN_DIRECTIVES = new Set(graphql.specifiedDirectives.map(({ name }) => name));
+
+/**
+ * Finds #import statements that don't match what a set of files use, and rewrites them.
+ *
+ * Every linted file's definitions are indexed by name, and each file is checked for:
+ * - `unresolved-reference` - a name it uses but neither defines nor imports, which only works
+ * when another file happens to import it. It's fixed by importing the one file defining it.
+ * - `unused-import` - an imported name nothing uses, or a `*` import of which nothing is used
+ * - `duplicate-import` - a name imported from the same file again
+ * - `narrowable-import` - a `*` import of which only some names are used, narrowed to those names
+ * - `unresolved-import` - an import of a file that doesn't exist
+ * - `invalid-file` - a file that can't be parsed
+ *
+ * A name is used by a file that references, defines, extends or exports it, or that another
+ * linted file imports it from by name or uses it through a `*` import. Files defining nothing
+ * only gather other files, so their imports are never unused or narrowed.
+ */
+class ImportLinter {
+  /**
+   * @param {*} loader the GraphQLFileLoader to read files and resolve imports with
+   */
+  constructor(loader) {
+    this._loader = loader;
+  }
+  static get rules() {
+    return [...RULES];
+  }
+  /**
+   * Lints every file matching a pointer
+   * @param {*} pointer a file name or glob
+   * @param {*} options `cwd` and `ignore` to match files with, and `fix` to rewrite their imports
+   * @returns `{ file, problems }` for each file, with its fixed contents as `output` if `fix` is
+   * set and anything changed. Each problem has its `rule`, `message`, `name`, `line`, `column`
+   * and whether it's `fixable`.
+   */
+  async lint(pointer, { cwd = process.cwd(), ignore = [], fix = false } = {}) {
+    const files = await this._loader.sourceProvider.glob(pointer, { cwd, ignore });
+
+    return this._loader.runAsync(
+      this.resolveLint(
+        files.map((file) => path.resolve(cwd, file)),
+        { fix },
+      ),
+    );
+  }
+  lintSync(pointer, { cwd = process.cwd(), ignore = [], fix = false } = {}) {
+    const files = this._loader.sourceProvider.globSync(pointer, { cwd, ignore });
+
+    return this._loader.runSync(
+      this.resolveLint(
+        files.map((file) => path.resolve(cwd, file)),
+        { fix },
+      ),
+    );
+  }
+  *resolveLint(files, { fix }) {
+    const fileNames = [...new Set(files)];
+    const analyses = new Map();
+
+    //Read every file at once before going through them one by one
+    yield* this._loader.readFiles(fileNames);
+
+    for (const fileName of fileNames) {
+      analyses.set(fileName, yield* this.resolveAnalysis(fileName));
+    }
+
+    const index = ImportLinter.indexOf(analyses);
+
+    ImportLinter.propagateUsage(analyses);
+
+    return fileNames.map((fileName) =>
+      ImportLinter.lintAnalysis(analyses.get(fileName), index, fix),
+    );
+  }
+  /**
+   * Parses a file and finds what each of its imports provides
+   * @param {*} fileName
+   * @returns `{ fileName, contents, definitions, defined, referenced, exported, used, imports }`,
+   * or `{ fileName, error }` if the file can't be parsed
+   */
+  *resolveAnalysis(fileName) {
+    try {
+      const contents = yield* this._loader.readFile(fileName);
+      const statements = this._loader.getImportStatements(fileName, contents);
+      const exported = this._loader.getExportedNames(fileName, contents);
+      const { definitions } = ImportLinter.parse(fileName, contents);
+      const defined = new Set();
+      const referenced = new Map();
+      const imports = [];
+
+      for (const definition of definitions) {
+        const name = DocumentDefinitionFilter.nameOf(definition);
+
+        if (name && name !== '@schema') {
+          defined.add(name);
+        }
+      }
+
+      for (const definition of definitions) {
+        for (const name of DocumentDefinitionFilter.addTransitiveTypes(definition)) {
+          if (!defined.has(name) && !referenced.has(name) && !ImportLinter.isBuiltIn(name)) {
+            referenced.set(name, definition);
+          }
+        }
+      }
+
+      for (const statement of statements) {
+        imports.push({
+          statement,
+          provided: this._loader.sourceProvider.exists(statement.fileName)
+            ? yield* this._loader.resolveProvidedNames(statement.fileName)
+            : undefined,
+        });
+      }
+
+      return {
+        fileName,
+        contents,
+        definitions,
+        defined,
+        referenced,
+        exported,
+        used: new Set([...defined, ...referenced.keys(), ...(exported || [])]),
+        imports,
+      };
+    } catch (error) {
+      return { fileName, error };
+    }
+  }
+  /**
+   * Parses a document, which is empty if a file has nothing but comments and imports
+   * @param {*} fileName
+   * @param {*} contents
+   * @returns
+   */
+  static parse(fileName, contents) {
+    const source = new graphql.Source(contents, fileName);
+
+    if (new graphql.Lexer(source).advance().kind === graphql.TokenKind.EOF) {
+      return { definitions: [] };
+    }
+
+    return graphql.parse(source);
+  }
+  static isBuiltIn(name) {
+    return (
+      DocumentDefinitionFilter.isBuiltInType(name) ||
+      BUILT_IN_DIRECTIVES.has(name) ||
+      name.startsWith('__')
+    );
+  }
+  /**
+   * The files defining each name, leaving out names private to files with #export statements
+   * @param {*} analyses
+   * @returns a map of each name to the file names defining it
+   */
+  static indexOf(analyses) {
+    const index = new Map();
+
+    for (const { fileName, definitions = [], exported } of analyses.values()) {
+      for (const definition of definitions) {
+        const name = DocumentDefinitionFilter.nameOf(definition);
+
+        if (
+          !name ||
+          name === '@schema' ||
+          DocumentDefinitionFilter.extensionType(definition) ||
+          (exported && !exported.has(name))
+        ) {
+          continue;
+        }
+
+        const files = index.get(name) || [];
+
+        if (!files.includes(fileName)) {
+          files.push(fileName);
+        }
+        index.set(name, files);
+      }
+    }
+
+    return index;
+  }
+  static isGathering(analysis) {
+    return analysis.definitions.length === 0;
+  }
+  /**
+   * The names a file uses from a file it imports with a statement
+   * @param {*} analysis the importing file
+   * @param {*} statement
+   * @param {*} provided the names the imported file provides
+   * @returns
+   */
+  static usedFrom(analysis, { types, aliases, namespace }, provided) {
+    const used = [];
+
+    for (const type of types) {
+      const { typeName } = DocumentDefinitionFilter.splitFieldName(type);
+
+      if (type === '*') {
+        //Gathering files take everything, but don't make anything used
+        if (!ImportLinter.isGathering(analysis)) {
+          used.push(...[...provided].filter((name) => analysis.used.has((namespace || '') + name)));
+        }
+      } else if (
+        type.includes('.') ||
+        ImportLinter.isGathering(analysis) ||
+        analysis.used.has(aliases[type] || type)
+      ) {
+        used.push(typeName);
+      }
+    }
+
+    return used;
+  }
+  /**
+   * Adds the names each file's importers use from it to what it uses, until nothing changes
+   * @param {*} analyses
+   */
+  static propagateUsage(analyses) {
+    let changed = true;
+
+    while (changed) {
+      changed = false;
+
+      for (const analysis of analyses.values()) {
+        for (const { statement, provided } of analysis.imports || []) {
+          const imported = analyses.get(statement.fileName);
+
+          if (!provided || !imported || imported.error) {
+            continue;
+          }
+
+          for (const name of ImportLinter.usedFrom(analysis, statement, provided)) {
+            if (!imported.used.has(name)) {
+              imported.used.add(name);
+              changed = true;
+            }
+          }
+        }
+      }
+    }
+  }
+  /**
+   * The problems in a file, and its contents with the fixable ones fixed
+   * @param {*} analysis
+   * @param {*} index
+   * @param {*} fix
+   * @returns
+   */
+  static lintAnalysis(analysis, index, fix) {
+    const { fileName, error } = analysis;
+
+    if (error) {
+      const location = error.locations ? error.locations[0] : error;
+
+      return {
+        file: fileName,
+        problems: [
+          {
+            rule: 'invalid-file',
+            message: error.message,
+            line: location.line,
+            column: location.column,
+            fixable: false,
+          },
+        ],
+      };
+    }
+
+    const problems = [];
+    const report = (rule, message, { name, line, column, fixable = true }) =>
+      problems.push({ rule, message, name, line, column, fixable });
+    const gathering = ImportLinter.isGathering(analysis);
+    const available = new Set(analysis.defined);
+    const imported = new Map();
+    //Files imported with `*`, which makes naming any of their names again a duplicate
+    const everything = new Set(
+      analysis.imports
+        .filter(
+          ({ statement, provided }) =>
+            provided && !statement.namespace && statement.types.includes('*'),
+        )
+        .map(({ statement }) => statement.fileName),
+    );
+    const rewrites = [];
+
+    for (const { statement, provided } of analysis.imports) {
+      const { types, aliases, namespace, specifier } = statement;
+      const location = { line: statement.line, column: statement.column };
+      const names = imported.get(statement.fileName) || new Set();
+      const entries = [];
+
+      imported.set(statement.fileName, names);
+
+      if (!provided) {
+        report('unresolved-import', `"${specifier}" is not found`, { ...location, fixable: false });
+
+        for (const type of types) {
+          available.add(aliases[type] || DocumentDefinitionFilter.splitFieldName(type).typeName);
+        }
+        rewrites.push({ statement });
+        continue;
+      }
+
+      for (const type of types) {
+        if (type === '*') {
+          const key = namespace ? `* as ${namespace}` : '*';
+          const used = [...provided].filter((name) => analysis.used.has((namespace || '') + name));
+
+          for (const name of provided) {
+            available.add((namespace || '') + name);
+          }
+
+          if (names.has(key)) {
+            report('duplicate-import', `Everything from "${specifier}" is already imported`, {
+              ...location,
+              name: key,
+            });
+          } else if (gathering) {
+            entries.push(key);
+          } else if (!used.length) {
+            report('unused-import', `Nothing imported from "${specifier}" is used`, {
+              ...location,
+              name: key,
+            });
+          } else if (!namespace && used.length < provided.size) {
+            report(
+              'narrowable-import',
+              `Only ${used.join(', ')} of everything imported from "${specifier}" is used`,
+              { ...location, name: key },
+            );
+            entries.push(...used.filter((name) => !names.has(name)));
+            used.forEach((name) => names.add(name));
+          } else {
+            entries.push(key);
+          }
+          names.add(key);
+          continue;
+        }
+
+        const local = aliases[type] || type;
+        const entry = aliases[type] ? `${type} as ${aliases[type]}` : type;
+        const field = type.includes('.');
+
+        available.add(field ? DocumentDefinitionFilter.splitFieldName(type).typeName : local);
+
+        if (names.has(entry) || (!aliases[type] && !field && everything.has(statement.fileName))) {
+          report('duplicate-import', `"${type}" is already imported from "${specifier}"`, {
+            ...location,
+            name: type,
+          });
+        } else if (!field && !gathering && !analysis.used.has(local)) {
+          report('unused-import', `"${local}" is imported but never used`, {
+            ...location,
+            name: type,
+          });
+        } else {
+          entries.push(entry);
+        }
+        names.add(entry);
+      }
+
+      rewrites.push({ statement, entries });
+    }
+
+    const additions = new Map();
+
+    for (const [name, definition] of analysis.referenced) {
+      if (available.has(name)) {
+        continue;
+      }
+
+      const files = (index.get(name) || []).filter((file) => file !== fileName);
+      const { line, column } = graphql.getLocation(definition.loc.source, definition.loc.start);
+      const by = DocumentDefinitionFilter.nameOf(definition) || 'an operation';
+      let message = `"${name}" is used by ${by} but not imported`;
+
+      if (files.length === 1) {
+        message += `, it is defined in ${ImportLinter.specifierOf(fileName, files[0])}`;
+        additions.set(files[0], [...(additions.get(files[0]) || []), name]);
+      } else if (files.length) {
+        message += `, it is defined in ${files
+          .map((file) => ImportLinter.specifierOf(fileName, file))
+          .join(', ')}`;
+      } else {
+        message += ' and not defined in any linted file';
+      }
+
+      report('unresolved-reference', message, { name, line, column, fixable: files.length === 1 });
+    }
+
+    const result = { file: fileName, problems };
+
+    if (fix && problems.some(({ fixable }) => fixable)) {
+      result.output = ImportLinter.rewrite(analysis.contents, fileName, rewrites, additions);
+    }
+
+    return result;
+  }
+  /**
+   * The path to import a file by from another, relative to the importing file
+   * @param {*} fileName
+   * @param {*} importedFileName
+   * @returns
+   */
+  static specifierOf(fileName, importedFileName) {
+    return path.relative(path.dirname(fileName), importedFileName).split(path.sep).join('/');
+  }
+  /**
+   * The entries a statement imports, as written in it
+   * @param {*} statement
+   * @returns
+   */
+  static entriesOf({ types, aliases, namespace }) {
+    return types.map((type) => {
+      if (type === '*') {
+        return namespace ? `* as ${namespace}` : '*';
+      }
+      return aliases[type] ? `${type} as ${aliases[type]}` : type;
+    });
+  }
+  static print(entries, specifier, braced) {
+    return braced
+      ? `#import { ${entries.join(', ')} } from "${specifier}"`
+      : `#import ${entries.join(', ')} from "${specifier}"`;
+  }
+  /**
+   * Rewrites the import statements of a file
+   * @param {*} contents the trimmed contents the statements were parsed from
+   * @param {*} fileName
+   * @param {*} rewrites `{ statement, entries }` for each statement, without `entries` to keep it
+   * @param {*} additions the names to import from each file
+   * @returns the new contents
+   */
+  static rewrite(contents, fileName, rewrites, additions) {
+    const edits = [];
+    const kept = rewrites.filter(({ entries }) => !entries || entries.length);
+
+    //Names are added to a statement importing others by name from the same file, if there is one
+    for (const [importedFileName, names] of additions) {
+      const rewrite = kept.find(
+        ({ statement, entries }) =>
+          statement.fileName === importedFileName &&
+          !statement.namespace &&
+          !(entries || ImportLinter.entriesOf(statement)).includes('*'),
+      );
+
+      if (rewrite) {
+        rewrite.entries = [
+          ...(rewrite.entries || ImportLinter.entriesOf(rewrite.statement)),
+          ...names,
+        ];
+        additions.delete(importedFileName);
+      }
+    }
+
+    for (const { statement, entries } of rewrites) {
+      const original = ImportLinter.entriesOf(statement);
+
+      if (!entries || entries.join() === original.join()) {
+        continue;
+      }
+
+      if (entries.length) {
+        edits.push({
+          start: statement.start,
+          end: statement.end,
+          text: ImportLinter.print(entries, statement.specifier, statement.statement.includes('{')),
+        });
+        continue;
+      }
+
+      //Removing a statement removes its lines
+      const lineEnd = contents.slice(statement.end).match(/^[^\n]*(\n|$)/)[0].length;
+
+      edits.push({
+        start: statement.start - (statement.column - 1),
+        end: statement.end + lineEnd,
+        text: '',
+      });
+    }
+
+    if (additions.size) {
+      const lines = [...additions]
+        .map(([importedFileName, names]) =>
+          ImportLinter.print(names, ImportLinter.specifierOf(fileName, importedFileName), false),
+        )
+        .sort();
+      const last = rewrites[rewrites.length - 1];
+
+      if (last) {
+        const end = last.statement.end;
+        const lineEnd = contents.slice(end).match(/^[^\n]*(\n|$)/)[0];
+
+        edits.push({
+          start: end + lineEnd.length,
+          end: end + lineEnd.length,
+          text: (lineEnd.endsWith('\n') ? '' : '\n') + lines.map((line) => line + '\n').join(''),
+        });
+      } else {
+        edits.push({ start: 0, end: 0, text: lines.join('\n') + '\n\n' });
+      }
+    }
+
+    let output = contents;
+
+    for (const { start, end, text } of edits.sort((a, b) => b.start - a.start)) {
+      output = output.slice(0, start) + text + output.slice(end);
+    }
+
+    //Don't leave the blank line that separated the removed statements from the definitions
+    if (rewrites.length && !kept.length && !additions.size && rewrites[0].statement.start === 0) {
+      output = output.replace(/^\s*\n/, '');
+    }
+
+    //Files are read trimmed, and written ending with a newline
+    return output.trim() + '\n';
+  }
+}
+
+module.exports = { ImportLinter };
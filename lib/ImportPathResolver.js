@@ -0,0 +1,224 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Resolves the path of an #import statement to an absolute file name.
+ *
+ * In order, a path is resolved:
+ * - through the first matching alias in `paths`, relative to `baseUrl`, like tsconfig does
+ * - as an absolute path, or relative to the importing file when it starts with `.`
+ * - relative to the importing file if that file exists
+ * - as a package in a node_modules directory above the importing file, honoring `exports` in its
+ * package.json like Node does
+ * - otherwise relative to the importing file, so a missing file is reported there
+ */
+class ImportPathResolver {
+  /**
+   * @param {*} options `paths` maps aliases like `~schema/*` to a list of substitutions like
+   * `src/schema/*`, which are relative to `baseUrl`. `exists` checks a file exists and `read`
+   * synchronously reads one, so packages are found wherever the files come from. Without `read`,
+   * packages with a package.json can't be imported.
+   */
+  constructor({
+    paths = {},
+    baseUrl = process.cwd(),
+    exists = fs.existsSync,
+    read = (fileName) => fs.readFileSync(fileName).toString(),
+  } = {}) {
+    this._paths = Object.entries(paths);
+    this._baseUrl = baseUrl;
+    this._exists = exists;
+    this._read = read;
+  }
+  /**
+   * Matches a specifier against an alias pattern with an optional `*` wildcard
+   * @param {*} pattern
+   * @param {*} specifier
+   * @returns what the wildcard matched, or undefined if the pattern doesn't match
+   */
+  static matchAlias(pattern, specifier) {
+    const wildcard = pattern.indexOf('*');
+
+    if (wildcard === -1) {
+      return pattern === specifier ? '' : undefined;
+    }
+
+    const prefix = pattern.slice(0, wildcard);
+    const suffix = pattern.slice(wildcard + 1);
+
+    if (
+      specifier.length >= prefix.length + suffix.length &&
+      specifier.startsWith(prefix) &&
+      specifier.endsWith(suffix)
+    ) {
+      return specifier.slice(prefix.length, specifier.length - suffix.length);
+    }
+  }
+  resolveAlias(specifier) {
+    for (const [pattern, substitutions] of this._paths) {
+      const match = ImportPathResolver.matchAlias(pattern, specifier);
+
+      if (match === undefined) {
+        continue;
+      }
+
+      const candidates = []
+        .concat(substitutions)
+        .map((substitution) => path.resolve(this._baseUrl, substitution.replace('*', match)));
+
+      return candidates.find((candidate) => this._exists(candidate)) || candidates[0];
+    }
+  }
+  /**
+   * Splits a specifier like `@scope/name/file.graphql` into its package name and the subpath in
+   * the package, like `./file.graphql`
+   * @param {*} specifier
+   * @returns `{ name, subpath }`, or undefined if it doesn't name a package
+   */
+  static parsePackageSpecifier(specifier) {
+    const match = specifier.match(/^((?:@[^/\\]+\/)?[^/\\.@][^/\\]*)(\/.*)?$/);
+
+    if (!match) {
+      return undefined;
+    }
+
+    return { name: match[1], subpath: match[2] ? `.${match[2]}` : '.' };
+  }
+  /**
+   * Finds the file a subpath is exported as by the `exports` of a package.json, with the
+   * `require`, `node` and `default` conditions like `require.resolve`
+   * @param {*} exports
+   * @param {*} subpath
+   * @returns the file relative to the package, or undefined if the subpath isn't exported
+   */
+  static resolveExports(exports, subpath) {
+    const isSubpathMap =
+      exports &&
+      typeof exports === 'object' &&
+      !Array.isArray(exports) &&
+      Object.keys(exports).some((key) => key.startsWith('.'));
+
+    if (!isSubpathMap) {
+      return subpath === '.' ? ImportPathResolver.resolveExportTarget(exports, '') : undefined;
+    }
+    if (Object.prototype.hasOwnProperty.call(exports, subpath) && !subpath.includes('*')) {
+      return ImportPathResolver.resolveExportTarget(exports[subpath], '');
+    }
+
+    //The pattern with the longest prefix before its wildcard wins
+    const [pattern] = Object.keys(exports)
+      .filter((key) => ImportPathResolver.matchAlias(key, subpath) !== undefined)
+      .filter((key) => key.includes('*'))
+      .sort((a, b) => b.indexOf('*') - a.indexOf('*'));
+
+    return pattern === undefined
+      ? undefined
+      : ImportPathResolver.resolveExportTarget(
+          exports[pattern],
+          ImportPathResolver.matchAlias(pattern, subpath),
+        );
+  }
+  static resolveExportTarget(target, match) {
+    if (typeof target === 'string') {
+      return target.replace(/\*/g, match);
+    }
+    if (Array.isArray(target)) {
+      for (const candidate of target) {
+        const resolved = ImportPathResolver.resolveExportTarget(candidate, match);
+
+        if (resolved !== undefined) {
+          return resolved;
+        }
+      }
+      return undefined;
+    }
+    if (target && typeof target === 'object') {
+      for (const [condition, value] of Object.entries(target)) {
+        if (['require', 'node', 'default'].includes(condition)) {
+          return ImportPathResolver.resolveExportTarget(value, match);
+        }
+      }
+    }
+    return undefined;
+  }
+  /**
+   * Resolves a specifier as a file in a package, looking in the node_modules directory of each
+   * directory from the importing file's up
+   * @param {*} specifier
+   * @param {*} basePath the directory of the importing file
+   * @returns the file name, or undefined if no package has it
+   */
+  resolveModule(specifier, basePath) {
+    const parsed = ImportPathResolver.parsePackageSpecifier(specifier);
+
+    if (!parsed) {
+      return undefined;
+    }
+
+    for (let directory = basePath; ; directory = path.dirname(directory)) {
+      const packagePath = path.join(directory, 'node_modules', parsed.name);
+      const manifestPath = path.join(packagePath, 'package.json');
+
+      if (this._exists(manifestPath)) {
+        if (!this._read) {
+          throw new Error(
+            `Can't resolve the package import "${specifier}" with a source provider without readSync`,
+          );
+        }
+
+        let manifest;
+
+        try {
+          manifest = JSON.parse(this._read(manifestPath));
+        } catch (error) {
+          return undefined;
+        }
+
+        //A package with exports can't be imported from anywhere else
+        if (manifest.exports !== undefined && manifest.exports !== null) {
+          const target = ImportPathResolver.resolveExports(manifest.exports, parsed.subpath);
+
+          return target === undefined ? undefined : path.join(packagePath, target);
+        }
+      }
+
+      const candidate = path.join(packagePath, parsed.subpath);
+
+      if (parsed.subpath !== '.' && this._exists(candidate)) {
+        return candidate;
+      }
+      if (path.dirname(directory) === directory) {
+        return undefined;
+      }
+    }
+  }
+  /**
+   * @param {*} specifier the path as written in the #import statement
+   * @param {*} filePath the file the statement is in
+   * @returns
+   */
+  resolve(specifier, filePath) {
+    const basePath = path.dirname(filePath);
+    const aliased = this.resolveAlias(specifier);
+
+    if (aliased) {
+      return aliased;
+    }
+
+    if (path.isAbsolute(specifier)) {
+      return specifier;
+    }
+
+    const relative = path.resolve(basePath, specifier);
+
+    if (specifier.startsWith('.') || this._exists(relative)) {
+      return relative;
+    }
+
+    return this.resolveModule(specifier, basePath) || relative;
+  }
+}
+
+module.exports = { ImportPathResolver };
@@ -0,0 +1,351 @@
+'use strict';
+
+const graphql = require('graphql');
+const { GraphQLImportError } = require('./GraphQLImportError');
+
+const EXPECTED = 'expected #import A, B from "file.graphql"';
+const EXPECTED_EXPORT = 'expected #export A, B';
+
+/**
+ * Parses #import statements from the comments of a graphql document. Statements are read from
+ * the lexer's comment tokens, so text in strings and descriptions is never mistaken for one.
+ *
+ * A statement is a comment starting its line and may be written as:
+ * - `#import A, B from "file.graphql"` or `#import { A, B } from "file.graphql"`
+ * - `#import A as B from "file.graphql"` and `#import * as Name from "file.graphql"`
+ * - `#import "file.graphql"`, the same as `#import * from "file.graphql"`
+ * - `#import Query.user, Mutation.* from "file.graphql"` to import some fields of a type
+ *
+ * A statement without its path yet continues on the comment of the next line, and anything after
+ * a further `#` is a comment. `#export A, B` statements are parsed the same way by parseExports.
+ */
+class ImportStatementParser {
+  /**
+   * The comments that start their line, in order
+   * @param {*} source a graphql Source
+   * @returns the comment tokens
+   */
+  static commentsOf(source) {
+    const lexer = new graphql.Lexer(source);
+    const comments = [];
+    let token = lexer.token;
+
+    try {
+      while (lexer.advance().kind !== graphql.TokenKind.EOF) {
+        //Comments are linked in between the tokens the lexer returns
+      }
+    } catch (error) {
+      //Statements before a syntax error still count; the error is reported once the file is parsed
+    }
+
+    for (; token; token = token.next) {
+      if (token.kind === graphql.TokenKind.COMMENT && token.prev.line < token.line) {
+        comments.push(token);
+      }
+    }
+
+    return comments;
+  }
+  static isStatement(comment) {
+    return /^\s*import(?![_0-9A-Za-z])/.test(comment.value);
+  }
+  static isExportStatement(comment) {
+    return /^\s*export(?![_0-9A-Za-z])/.test(comment.value);
+  }
+  /**
+   * Removes a trailing comment, which starts at a `#` outside of quotes
+   * @param {*} text
+   * @returns
+   */
+  static stripComment(text) {
+    let quote;
+
+    for (let index = 0; index < text.length; index++) {
+      const character = text[index];
+
+      if (quote) {
+        quote = character === quote ? undefined : quote;
+      } else if (character === '"' || character === "'") {
+        quote = character;
+      } else if (character === '#') {
+        return text.slice(0, index);
+      }
+    }
+
+    return text;
+  }
+  static hasPath(text) {
+    return /["']/.test(ImportStatementParser.stripComment(text));
+  }
+  /**
+   * Splits a statement into names, punctuation and quoted paths
+   * @param {*} text
+   * @returns the tokens, or undefined if there's anything else
+   */
+  static tokenize(text) {
+    const pattern =
+      /\s*(?:([_A-Za-z][_0-9A-Za-z]*(?:\.(?:[_A-Za-z][_0-9A-Za-z]*|\*))?)|([*,{}])|"([^"]*)"|'([^']*)')/y;
+    const tokens = [];
+
+    text = text.trimEnd();
+
+    while (pattern.lastIndex < text.length) {
+      const match = pattern.exec(text);
+
+      if (!match) {
+        return undefined;
+      }
+      if (match[1] !== undefined) {
+        tokens.push({ kind: 'name', value: match[1] });
+      } else if (match[2] !== undefined) {
+        tokens.push({ kind: match[2] });
+      } else {
+        tokens.push({ kind: 'path', value: match[3] !== undefined ? match[3] : match[4] });
+      }
+    }
+
+    return tokens;
+  }
+  /**
+   * Parses the text of a statement, without the `#` of each line
+   * @param {*} text
+   * @returns `{ types, aliases, namespace, specifier }`, or undefined if it isn't valid
+   */
+  static parseStatement(text) {
+    const tokens = ImportStatementParser.tokenize(text);
+
+    if (!tokens) {
+      return undefined;
+    }
+
+    let position = 0;
+    const peek = (kind, value) =>
+      tokens[position] &&
+      tokens[position].kind === kind &&
+      (value === undefined || tokens[position].value === value);
+    const take = (kind, value) => (peek(kind, value) ? tokens[position++] : undefined);
+
+    if (!take('name', 'import')) {
+      return undefined;
+    }
+
+    const types = [];
+    const aliases = {};
+    let namespace;
+    let specifier;
+
+    if (peek('path')) {
+      types.push('*');
+      specifier = take('path').value;
+    } else {
+      const braced = !!take('{');
+
+      do {
+        if (braced && peek('}')) {
+          break;
+        }
+
+        const name = take('*') ? '*' : take('name');
+
+        if (!name) {
+          return undefined;
+        }
+
+        const type = name === '*' ? '*' : name.value;
+
+        types.push(type);
+
+        if (take('name', 'as')) {
+          const alias = take('name');
+
+          //Fields can't be renamed, and names can't be renamed to fields
+          if (!alias || type.includes('.') || alias.value.includes('.')) {
+            return undefined;
+          }
+          if (type === '*') {
+            namespace = alias.value;
+          } else {
+            aliases[type] = alias.value;
+          }
+        }
+      } while (take(','));
+
+      if ((braced && !take('}')) || !types.length || !take('name', 'from') || !peek('path')) {
+        return undefined;
+      }
+
+      specifier = take('path').value;
+    }
+
+    if (position !== tokens.length || !specifier.trim()) {
+      return undefined;
+    }
+
+    return { types, aliases, namespace, specifier: specifier.trim() };
+  }
+  /**
+   * Parses the text of an export statement, without the `#` of each line
+   * @param {*} text
+   * @returns the exported names, or undefined if it isn't valid
+   */
+  static parseExportStatement(text) {
+    const tokens = ImportStatementParser.tokenize(text);
+
+    if (!tokens || !tokens.length || tokens[0].value !== 'export') {
+      return undefined;
+    }
+
+    const braced = tokens[1] && tokens[1].kind === '{';
+    const inner = tokens.slice(braced ? 2 : 1, braced ? -1 : undefined);
+    const names = [];
+
+    if (braced && tokens[tokens.length - 1].kind !== '}') {
+      return undefined;
+    }
+
+    //Names separated by commas, with an optional trailing comma in braces
+    for (let index = 0; index < inner.length; index += 2) {
+      const name = inner[index];
+      const separator = inner[index + 1];
+
+      if (name.kind !== 'name' || name.value.includes('.')) {
+        return undefined;
+      }
+      if (separator && (separator.kind !== ',' || (!braced && index + 2 >= inner.length))) {
+        return undefined;
+      }
+      names.push(name.value);
+    }
+
+    return names.length ? names : undefined;
+  }
+  /**
+   * Parse #export statements in the given file contents. A file with export statements only
+   * lets other files import the names it exports.
+   * @param {*} filePath
+   * @param {*} fileContents
+   * @returns each statement's exported `names` and the raw `statement`, located by its `line`
+   * and `column`
+   */
+  static parseExports(filePath, fileContents) {
+    const comments = ImportStatementParser.commentsOf(new graphql.Source(fileContents, filePath));
+    const exports = [];
+
+    for (let index = 0; index < comments.length; index++) {
+      const first = comments[index];
+
+      if (!ImportStatementParser.isExportStatement(first)) {
+        continue;
+      }
+
+      let last = first;
+      let text = ImportStatementParser.stripComment(first.value);
+
+      //A braced list continues on the next line until it's closed
+      while (
+        text.includes('{') &&
+        !text.includes('}') &&
+        comments[index + 1] &&
+        comments[index + 1] === last.next &&
+        comments[index + 1].line === last.line + 1
+      ) {
+        last = comments[++index];
+        text += '\n' + ImportStatementParser.stripComment(last.value);
+      }
+
+      const statement = fileContents.slice(first.start, last.end).trimEnd();
+      const names = ImportStatementParser.parseExportStatement(text);
+
+      if (!names) {
+        throw new GraphQLImportError(
+          `Incorrect export syntax at ${GraphQLImportError.formatLocation(
+            filePath,
+            first.line,
+            first.column,
+          )}, ${EXPECTED_EXPORT} but found: ${statement}`,
+          {
+            code: 'IMPORT_SYNTAX',
+            file: filePath,
+            line: first.line,
+            column: first.column,
+            statement,
+          },
+        );
+      }
+
+      exports.push({ names, line: first.line, column: first.column, statement });
+    }
+
+    return exports;
+  }
+  /**
+   * Parse #import statements in the given file contents
+   * @param {*} filePath the path of the file from which to build relative paths from
+   * @param {*} fileContents the contents of the file
+   * @param {*} pathResolver resolves the path in each statement to a file name
+   * @returns each statement, see GraphQLFileLoader.parseImportStatements
+   */
+  static parse(filePath, fileContents, pathResolver) {
+    const source = new graphql.Source(fileContents, filePath);
+    const comments = ImportStatementParser.commentsOf(source);
+    const imports = [];
+
+    for (let index = 0; index < comments.length; index++) {
+      const first = comments[index];
+
+      if (!ImportStatementParser.isStatement(first)) {
+        continue;
+      }
+
+      let last = first;
+      let text = ImportStatementParser.stripComment(first.value);
+
+      //A statement continues on the next line until its path
+      while (
+        !ImportStatementParser.hasPath(text) &&
+        comments[index + 1] &&
+        comments[index + 1] === last.next &&
+        comments[index + 1].line === last.line + 1
+      ) {
+        last = comments[++index];
+        text += '\n' + ImportStatementParser.stripComment(last.value);
+      }
+
+      const statement = source.body.slice(first.start, last.end).trimEnd();
+      const parsed = ImportStatementParser.parseStatement(text);
+
+      if (!parsed) {
+        throw new GraphQLImportError(
+          `Incorrect import syntax at ${GraphQLImportError.formatLocation(
+            filePath,
+            first.line,
+            first.column,
+          )}, ${EXPECTED} but found: ${statement}`,
+          {
+            code: 'IMPORT_SYNTAX',
+            file: filePath,
+            line: first.line,
+            column: first.column,
+            statement,
+          },
+        );
+      }
+
+      imports.push({
+        ...parsed,
+        fileName: pathResolver.resolve(parsed.specifier, filePath),
+        line: first.line,
+        column: first.column,
+        endLine: last.line,
+        endColumn: last.column + (last.end - last.start),
+        start: first.start,
+        end: last.end,
+        statement,
+      });
+    }
+
+    return imports;
+  }
+}
+
+module.exports = { ImportStatementParser };
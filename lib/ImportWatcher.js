@@ -0,0 +1,209 @@
+'use strict';
+
+const path = require('path');
+
+/**
+ * Watches every file in the import trees of a set of entry files and reloads only the entries
+ * affected by a change.
+ */
+class ImportWatcher {
+  /**
+   * @param {*} loader the GraphQLFileLoader whose caches are shared and evicted
+   * @param {*} entries absolute paths of the entry files
+   * @param {*} callback called with `(error, { fileName, sdl })` for each loaded entry
+   * @param {*} options `debounce` in milliseconds, and `onError` called with anything the callback
+   * or a reload throws, emitting it as a warning by default; the rest is passed to `loadFile`
+   */
+  constructor(
+    loader,
+    entries,
+    callback,
+    { debounce = 50, onError = (error) => process.emitWarning(error), ...loadOptions } = {},
+  ) {
+    this._loader = loader;
+    this._entries = entries;
+    this._callback = callback;
+    this._debounce = debounce;
+    this._onError = onError;
+    this._loadOptions = loadOptions;
+    this._dependencies = new Map();
+    this._watchers = new Map();
+    this._changed = new Set();
+    this._timer = undefined;
+    this._queue = Promise.resolve();
+    this._closed = false;
+  }
+  /**
+   * Loads every entry once and starts watching their import trees
+   */
+  async start() {
+    const results = [];
+
+    for (const entry of this._entries) {
+      results.push(await this.reload(entry));
+    }
+    this.updateWatchedFiles();
+    this.emit(results);
+  }
+  /**
+   * The files currently being watched
+   * @returns
+   */
+  get files() {
+    return [...this._watchers.keys()];
+  }
+  /**
+   * Calls back with each result once the watched files are up to date
+   * @param {*} results
+   */
+  emit(results) {
+    for (const [error, result] of results) {
+      //One failing callback mustn't keep the others, or later changes, from being reported
+      try {
+        this._callback(error, result);
+      } catch (callbackError) {
+        this._onError(callbackError);
+      }
+    }
+  }
+  /**
+   * Loads an entry and records the files in its import tree
+   * @param {*} entry
+   * @returns the `[error, result]` to call back with
+   */
+  async reload(entry) {
+    const dependencies = new Set([entry]);
+
+    try {
+      //The tree doesn't check imported names, so it's known even when loading fails on them
+      for (const fileName of (await this._loader.buildImportDependencyTreeFrom(entry)).keys()) {
+        dependencies.add(fileName);
+      }
+
+      const sdl = await this._loader.loadFile(path.dirname(entry), entry, this._loadOptions);
+
+      this._dependencies.set(entry, dependencies);
+
+      return [undefined, { fileName: entry, sdl }];
+    } catch (error) {
+      //Keep watching the tree and what was known to be imported, so fixing the error is picked up
+      for (const fileName of this._dependencies.get(entry) || []) {
+        dependencies.add(fileName);
+      }
+      for (const fileName of error.chain || []) {
+        dependencies.add(fileName);
+      }
+
+      this._dependencies.set(entry, dependencies);
+
+      return [error, { fileName: entry }];
+    }
+  }
+  /**
+   * Collects changes until none arrive for the debounce period, then processes them in order
+   * @param {*} fileName
+   */
+  onChange(fileName) {
+    if (this._closed) {
+      return;
+    }
+
+    this._changed.add(fileName);
+
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => {
+      this._queue = this._queue.then(() => this.flush()).catch((error) => this._onError(error));
+    }, this._debounce);
+  }
+  /**
+   * Evicts the changed files and reloads the entries that import them
+   */
+  async flush() {
+    if (this._closed) {
+      return;
+    }
+
+    const changed = [...this._changed];
+
+    this._changed.clear();
+
+    for (const fileName of changed) {
+      this._loader.evict(fileName);
+      //Editors often replace files rather than write to them, so watch the new file
+      this.unwatch(fileName);
+    }
+
+    const results = [];
+
+    for (const entry of this._entries) {
+      const dependencies = this._dependencies.get(entry);
+
+      if (changed.some((fileName) => dependencies.has(fileName))) {
+        results.push(await this.reload(entry));
+      }
+    }
+
+    this.updateWatchedFiles();
+    this.emit(results);
+  }
+  /**
+   * Watches every file in any entry's import tree and stops watching files no longer imported
+   */
+  updateWatchedFiles() {
+    if (this._closed) {
+      return;
+    }
+
+    const wanted = new Set();
+
+    for (const dependencies of this._dependencies.values()) {
+      for (const fileName of dependencies) {
+        wanted.add(fileName);
+      }
+    }
+
+    for (const fileName of this._watchers.keys()) {
+      if (!wanted.has(fileName)) {
+        this.unwatch(fileName);
+      }
+    }
+
+    for (const fileName of wanted) {
+      if (this._watchers.has(fileName)) {
+        continue;
+      }
+
+      try {
+        const watcher = this._loader.sourceProvider.watch(fileName, () => this.onChange(fileName));
+
+        //A deleted file is reported as a change, after which the watcher may error
+        if (watcher.on) {
+          watcher.on('error', () => this.unwatch(fileName));
+        }
+
+        this._watchers.set(fileName, watcher);
+      } catch (error) {
+        //Files that don't exist can't be watched; the error was already reported on load
+      }
+    }
+  }
+  unwatch(fileName) {
+    if (this._watchers.has(fileName)) {
+      this._watchers.get(fileName).close();
+      this._watchers.delete(fileName);
+    }
+  }
+  /**
+   * Stops watching all files
+   */
+  close() {
+    this._closed = true;
+    clearTimeout(this._timer);
+
+    for (const fileName of [...this._watchers.keys()]) {
+      this.unwatch(fileName);
+    }
+  }
+}
+
+module.exports = { ImportWatcher };
@@ -0,0 +1,101 @@
+'use strict';
+
+const path = require('path');
+const minimatch = require('minimatch');
+const { DiskSourceProvider } = require('./DiskSourceProvider');
+
+/**
+ * Serves sources from memory, keyed by absolute file name. Useful for tests and for schemas
+ * that were never written to disk.
+ */
+class MemorySourceProvider {
+  /**
+   * @param {*} files an object or Map of file names to contents, resolved against `cwd`
+   * @param {*} options
+   */
+  constructor(files = {}, { cwd = process.cwd() } = {}) {
+    this._files = new Map();
+    this._listeners = new Map();
+    this._cwd = cwd;
+
+    for (const [fileName, contents] of files instanceof Map ? files : Object.entries(files)) {
+      this._files.set(path.resolve(cwd, fileName), contents);
+    }
+  }
+  /**
+   * Adds or replaces a file, notifying anything watching it
+   * @param {*} fileName
+   * @param {*} contents
+   */
+  set(fileName, contents) {
+    const absolutePath = path.resolve(this._cwd, fileName);
+
+    this._files.set(absolutePath, contents);
+    this.notify(absolutePath, 'change');
+  }
+  /**
+   * Removes a file, notifying anything watching it
+   * @param {*} fileName
+   */
+  delete(fileName) {
+    const absolutePath = path.resolve(this._cwd, fileName);
+
+    this._files.delete(absolutePath);
+    this.notify(absolutePath, 'rename');
+  }
+  notify(fileName, eventType) {
+    for (const listener of this._listeners.get(fileName) || []) {
+      listener(eventType, path.basename(fileName));
+    }
+  }
+  async read(fileName) {
+    return this.readSync(fileName);
+  }
+  readSync(fileName) {
+    const absolutePath = path.resolve(this._cwd, fileName);
+
+    if (!this._files.has(absolutePath)) {
+      const error = new Error(`ENOENT: no such file, open '${absolutePath}'`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+
+    return this._files.get(absolutePath);
+  }
+  exists(fileName) {
+    return this._files.has(path.resolve(this._cwd, fileName));
+  }
+  async glob(pattern, options) {
+    return this.globSync(pattern, options);
+  }
+  globSync(pattern, { cwd = this._cwd, ignore = [] } = {}) {
+    const absolute = path.isAbsolute(pattern);
+    const ignored = DiskSourceProvider.ignoresFor(pattern, cwd, ignore);
+
+    return [...this._files.keys()]
+      .map((fileName) =>
+        absolute ? fileName : path.relative(cwd, fileName).split(path.sep).join('/'),
+      )
+      .filter(
+        (fileName) =>
+          (absolute || !fileName.startsWith('../')) &&
+          minimatch(fileName, pattern) &&
+          !ignored.some((ignore) => minimatch(fileName, ignore)),
+      )
+      .sort();
+  }
+  watch(fileName, listener) {
+    const absolutePath = path.resolve(this._cwd, fileName);
+
+    if (!this._listeners.has(absolutePath)) {
+      this._listeners.set(absolutePath, new Set());
+    }
+    this._listeners.get(absolutePath).add(listener);
+
+    return {
+      close: () => this._listeners.get(absolutePath).delete(listener),
+    };
+  }
+}
+
+module.exports = { MemorySourceProvider };
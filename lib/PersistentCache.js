@@ -0,0 +1,117 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const graphql = require('graphql');
+const path = require('path');
+const { version } = require('../package.json');
+
+//Entries written by another version may not have the same shape
+const CACHE_VERSION = `${version}:${graphql.version}`;
+
+/**
+ * Caches parsed documents and dependency trees in a directory, so they outlive the process.
+ * Entries are keyed by a hash of the file contents, so a changed file is never served stale.
+ *
+ * A cache must never break loading, so an entry that can't be read or written is a miss.
+ */
+class PersistentCache {
+  /**
+   * @param {*} directory where entries are stored, created when first written to
+   */
+  constructor(directory) {
+    this._directory = path.resolve(directory);
+  }
+  get directory() {
+    return this._directory;
+  }
+  /**
+   * A hex digest of the parts
+   * @param  {...any} parts
+   * @returns
+   */
+  static hash(...parts) {
+    const hash = crypto.createHash('sha256');
+
+    for (const part of parts) {
+      hash.update(String(part)).update('\0');
+    }
+
+    return hash.digest('hex');
+  }
+  pathOf(namespace, key) {
+    return path.join(
+      this._directory,
+      namespace,
+      `${PersistentCache.hash(CACHE_VERSION, key)}.json`,
+    );
+  }
+  read(namespace, key, reviver) {
+    try {
+      return JSON.parse(fs.readFileSync(this.pathOf(namespace, key), 'utf8'), reviver);
+    } catch (error) {
+      return undefined;
+    }
+  }
+  write(namespace, key, value) {
+    const fileName = this.pathOf(namespace, key);
+    //Other processes may read the entry while it is written, so it's renamed into place
+    const temporaryFileName = `${fileName}.${process.pid}.tmp`;
+
+    try {
+      fs.mkdirSync(path.dirname(fileName), { recursive: true });
+      fs.writeFileSync(temporaryFileName, JSON.stringify(value));
+      fs.renameSync(temporaryFileName, fileName);
+    } catch (error) {
+      fs.rmSync(temporaryFileName, { force: true });
+    }
+  }
+  /**
+   * The parsed document of a file's contents, with every location pointing at a source named
+   * after the file as if it were parsed again
+   * @param {*} filePath
+   * @param {*} contents
+   * @returns
+   */
+  readDocument(filePath, contents) {
+    const source = new graphql.Source(contents, filePath);
+
+    return this.read('documents', `${filePath}\0${contents}`, (key, value) =>
+      key === 'loc' ? { start: value.start, end: value.end, source } : value,
+    );
+  }
+  writeDocument(filePath, contents, document) {
+    this.write('documents', `${filePath}\0${contents}`, document);
+  }
+  /**
+   * A dependency tree along with the hash of every file in it when it was written, and the files
+   * each file's import statements resolved to, which depends on which files existed
+   * @param {*} key identifies the entry and how its imports were resolved
+   * @returns `{ imports, hashes, resolutions }`, where `hashes` are `[fileName, hash]` pairs and
+   * `resolutions` are `[fileName, importedFileNames]` pairs
+   */
+  readDependencyTree(key) {
+    const entry = this.read('dependencies', key);
+
+    //Trees written before resolutions were kept can't be checked
+    return (
+      entry &&
+      entry.resolutions && {
+        imports: new Map(entry.imports),
+        hashes: entry.hashes,
+        resolutions: entry.resolutions,
+      }
+    );
+  }
+  writeDependencyTree(key, imports, hashes, resolutions) {
+    this.write('dependencies', key, { imports: [...imports.entries()], hashes, resolutions });
+  }
+  /**
+   * Removes every entry
+   */
+  clear() {
+    fs.rmSync(this._directory, { recursive: true, force: true });
+  }
+}
+
+module.exports = { PersistentCache };
@@ -0,0 +1,244 @@
+'use strict';
+
+const graphql = require('graphql');
+const path = require('path');
+
+const SEVERITIES = ['breaking', 'dangerous', 'safe'];
+
+//Where graphql-js names what changed in the description of each type of change
+const COORDINATE_PATTERNS = [
+  [['DIRECTIVE_REMOVED'], /^(\w+) was removed/, (match) => `@${match[1]}`],
+  [['REQUIRED_DIRECTIVE_ARG_ADDED'], /on directive (\w+)/, (match) => `@${match[1]}`],
+  [
+    ['DIRECTIVE_ARG_REMOVED', 'DIRECTIVE_REPEATABLE_REMOVED', 'DIRECTIVE_LOCATION_REMOVED'],
+    /from (\w+)\.$/,
+    (match) => `@${match[1]}`,
+  ],
+  [
+    ['REQUIRED_INPUT_FIELD_ADDED', 'OPTIONAL_INPUT_FIELD_ADDED'],
+    /field (\w+) on input type (\w+)/,
+    (match) => `${match[2]}.${match[1]}`,
+  ],
+  [
+    ['VALUE_ADDED_TO_ENUM', 'VALUE_REMOVED_FROM_ENUM'],
+    /^(\w+) was \w+ \w+ enum type (\w+)/,
+    (match) => `${match[2]}.${match[1]}`,
+  ],
+  [['TYPE_ADDED_TO_UNION', 'TYPE_REMOVED_FROM_UNION'], /union type (\w+)/, (match) => match[1]],
+  [['IMPLEMENTED_INTERFACE_ADDED'], /implemented by (\w+)/, (match) => match[1]],
+  [['REQUIRED_ARG_ADDED', 'OPTIONAL_ARG_ADDED'], /on (\w+\.\w+) was added/, (match) => match[1]],
+  [['TYPE_REMOVED'], /(\w+) was removed/, (match) => match[1]],
+];
+
+/**
+ * Compares the schema an entry file resolves to at two roots, such as two checkouts, or the
+ * working tree and a git revision read by a GitSourceProvider. Changes are classified by
+ * graphql-js as breaking or dangerous, and anything else added or described differently is safe.
+ * Each change is located at the file and line of the definition it affects.
+ */
+class SchemaDiff {
+  /**
+   * @param {*} before `{ loader, root }`, the GraphQLFileLoader and directory of the old schema
+   * @param {*} after `{ loader, root }` of the new schema
+   */
+  constructor(before, after) {
+    this._before = before;
+    this._after = after;
+  }
+  static get severities() {
+    return [...SEVERITIES];
+  }
+  /**
+   * Loads an entry at both roots and compares them
+   * @param {*} entry the entry file, relative to each root
+   * @param {*} options `collisions` to load both with
+   * @returns the changes, see compare
+   */
+  async diff(entry, { collisions } = {}) {
+    const [before, after] = await Promise.all(
+      [this._before, this._after].map(({ loader, root }) =>
+        loader.loadDocument(entry, { cwd: root, collisions }),
+      ),
+    );
+
+    return SchemaDiff.compare(before, after, {
+      beforeRoot: this._before.root,
+      afterRoot: this._after.root,
+    });
+  }
+  /**
+   * The changes between two merged documents
+   * @param {*} before
+   * @param {*} after
+   * @param {*} options `beforeRoot` and `afterRoot` that file names are made relative to
+   * @returns `{ severity, type, description, coordinate, file, line, column, side }` for each
+   * change, breaking first. `side` is whether the location is in the `before` or `after` schema.
+   */
+  static compare(before, after, { beforeRoot = process.cwd(), afterRoot = process.cwd() } = {}) {
+    const beforeSchema = graphql.buildASTSchema(before, { assumeValidSDL: true });
+    const afterSchema = graphql.buildASTSchema(after, { assumeValidSDL: true });
+    const sides = [
+      { side: 'after', root: afterRoot, nodes: SchemaDiff.nodesOf(after) },
+      { side: 'before', root: beforeRoot, nodes: SchemaDiff.nodesOf(before) },
+    ];
+    const changes = [
+      ...graphql
+        .findBreakingChanges(beforeSchema, afterSchema)
+        .map((change) => ({ severity: 'breaking', ...change })),
+      ...graphql
+        .findDangerousChanges(beforeSchema, afterSchema)
+        .map((change) => ({ severity: 'dangerous', ...change })),
+    ].map((change) => ({ ...change, coordinate: SchemaDiff.coordinateOf(change) }));
+
+    changes.push(...SchemaDiff.findSafeChanges(beforeSchema, afterSchema));
+
+    return changes.map((change) => ({ ...change, ...SchemaDiff.locate(change.coordinate, sides) }));
+  }
+  /**
+   * The type, field, enum value or directive (as `@name`) a graphql-js change is about
+   * @param {*} change
+   * @returns
+   */
+  static coordinateOf({ type, description }) {
+    for (const [types, pattern, format] of COORDINATE_PATTERNS) {
+      const match = types.includes(type) && description.match(pattern);
+
+      if (match) {
+        return format(match);
+      }
+    }
+
+    const match = description.match(/^(\w+(?:\.\w+)?)/);
+
+    return match ? match[1] : undefined;
+  }
+  /**
+   * Types, fields and directives added, and descriptions changed, which graphql-js doesn't report
+   * @param {*} before
+   * @param {*} after
+   * @returns
+   */
+  static findSafeChanges(before, after) {
+    const changes = [];
+    const add = (type, coordinate, description) =>
+      changes.push({ severity: 'safe', type, description, coordinate });
+    const beforeTypes = before.getTypeMap();
+
+    for (const [name, type] of Object.entries(after.getTypeMap())) {
+      const beforeType = beforeTypes[name];
+
+      if (name.startsWith('__')) {
+        continue;
+      }
+      if (!beforeType) {
+        add('TYPE_ADDED', name, `${name} was added.`);
+        continue;
+      }
+      if (beforeType.description !== type.description) {
+        add('DESCRIPTION_CHANGED', name, `${name} description changed.`);
+      }
+      //Input fields added are reported by graphql-js
+      if (
+        !(graphql.isObjectType(type) || graphql.isInterfaceType(type)) ||
+        !(graphql.isObjectType(beforeType) || graphql.isInterfaceType(beforeType))
+      ) {
+        continue;
+      }
+
+      const beforeFields = beforeType.getFields();
+
+      for (const [fieldName, field] of Object.entries(type.getFields())) {
+        const coordinate = `${name}.${fieldName}`;
+
+        if (!beforeFields[fieldName]) {
+          add('FIELD_ADDED', coordinate, `${coordinate} was added.`);
+        } else if (beforeFields[fieldName].description !== field.description) {
+          add('DESCRIPTION_CHANGED', coordinate, `${coordinate} description changed.`);
+        }
+      }
+    }
+
+    for (const directive of after.getDirectives()) {
+      if (!before.getDirective(directive.name)) {
+        add('DIRECTIVE_ADDED', `@${directive.name}`, `${directive.name} was added.`);
+      }
+    }
+
+    return changes;
+  }
+  /**
+   * The definition, field, input field or enum value node of each coordinate in a document. The
+   * first definition or extension of a name is the one located.
+   * @param {*} document
+   * @returns
+   */
+  static nodesOf(document) {
+    const nodes = new Map();
+    const add = (coordinate, node) => {
+      if (!nodes.has(coordinate)) {
+        nodes.set(coordinate, node);
+      }
+    };
+
+    for (const definition of document.definitions) {
+      if (!definition.name) {
+        continue;
+      }
+
+      const name =
+        definition.kind === graphql.Kind.DIRECTIVE_DEFINITION
+          ? `@${definition.name.value}`
+          : definition.name.value;
+
+      add(name, definition);
+
+      for (const member of [...(definition.fields || []), ...(definition.values || [])]) {
+        add(`${name}.${member.name.value}`, member);
+      }
+    }
+
+    return nodes;
+  }
+  /**
+   * Where a coordinate is defined, in the new schema if it's there and otherwise the old one,
+   * falling back to the type of a field that isn't in either
+   * @param {*} coordinate
+   * @param {*} sides `{ side, root, nodes }` to look in, in order
+   * @returns `{ file, line, column, side }`, or an empty object if it isn't found
+   */
+  static locate(coordinate, sides) {
+    const coordinates = coordinate ? [coordinate, coordinate.split('.')[0]] : [];
+
+    for (const candidate of coordinates) {
+      for (const { side, root, nodes } of sides) {
+        const node = nodes.get(candidate);
+
+        if (!node || !node.loc) {
+          continue;
+        }
+
+        const { line, column } = graphql.getLocation(node.loc.source, node.loc.start);
+
+        return { file: path.relative(root, node.loc.source.name), line, column, side };
+      }
+    }
+
+    return {};
+  }
+  /**
+   * A line for each change, like `breaking FIELD_REMOVED Query.user was removed. (users.graphql:4:3)`
+   * @param {*} changes
+   * @returns
+   */
+  static format(changes) {
+    return changes
+      .map(({ severity, type, description, file, line, column }) => {
+        const location = file ? ` (${[file, line, column].join(':')})` : '';
+
+        return `${severity} ${type} ${description}${location}`;
+      })
+      .join('\n');
+  }
+}
+
+module.exports = { SchemaDiff };
@@ -0,0 +1,177 @@
+'use strict';
+
+const graphql = require('graphql');
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Prints a merged document and maps every printed line back to the file and location of the
+ * definition (or field, value, selection) it came from.
+ */
+class SourceMapBuilder {
+  /**
+   * Base64 VLQ encoding as used by the `mappings` field of a v3 source map
+   * @param {*} value
+   * @returns
+   */
+  static encodeVLQ(value) {
+    let vlq = value < 0 ? (-value << 1) + 1 : value << 1;
+    let encoded = '';
+
+    do {
+      let digit = vlq & 31;
+      vlq >>>= 5;
+      if (vlq > 0) {
+        digit |= 32;
+      }
+      encoded += BASE64[digit];
+    } while (vlq > 0);
+
+    return encoded;
+  }
+  /**
+   * The original location of a node, or undefined if it wasn't parsed from a named source
+   * @param {*} node
+   * @returns
+   */
+  static originOf(node) {
+    if (!node.loc || !node.loc.source) {
+      return undefined;
+    }
+
+    const { line, column } = graphql.getLocation(node.loc.source, node.loc.start);
+
+    return { file: node.loc.source.name, line, column, source: node.loc.source };
+  }
+  /**
+   * The child nodes that the printer always puts on lines of their own
+   * @param {*} node
+   * @returns
+   */
+  static membersOf(node) {
+    if (node.selectionSet) {
+      return node.selectionSet.selections;
+    }
+    return node.fields || node.values || node.operationTypes || [];
+  }
+  /**
+   * Assigns the origin of a node to the printed lines it spans, then lets its members
+   * override the lines they were printed on.
+   * @param {*} node
+   * @param {*} lines the printed output split by line
+   * @param {*} origins the origin of each printed line
+   * @param {*} start the first line the node was printed on
+   * @param {*} end the line after the last line the node was printed on
+   */
+  static assignOrigins(node, lines, origins, start, end) {
+    const origin = SourceMapBuilder.originOf(node);
+
+    if (origin) {
+      origins.fill(origin, start, end);
+    }
+
+    let cursor = start + 1;
+
+    for (const member of SourceMapBuilder.membersOf(node)) {
+      const printed = graphql.print(member).split('\n');
+      const firstLine = printed[0].trim();
+
+      for (let index = cursor; index < end; index++) {
+        if (lines[index].trim() === firstLine) {
+          SourceMapBuilder.assignOrigins(member, lines, origins, index, index + printed.length);
+          cursor = index + printed.length;
+          break;
+        }
+      }
+    }
+  }
+  /**
+   * Prints the document the same way `graphql.print` does and builds a source map for it
+   * @param {*} document
+   * @param {*} options `file` is the name of the generated file recorded in the source map
+   * @returns
+   */
+  build(document, { file } = {}) {
+    const lines = [];
+    const origins = [];
+    const definitions = [];
+
+    for (const definition of document.definitions) {
+      if (lines.length) {
+        lines.push('');
+        origins.push(undefined);
+      }
+
+      const start = lines.length;
+      const printed = graphql.print(definition).split('\n');
+
+      lines.push(...printed);
+      origins.push(...printed.map(() => undefined));
+
+      SourceMapBuilder.assignOrigins(definition, lines, origins, start, lines.length);
+
+      const origin = SourceMapBuilder.originOf(definition);
+
+      definitions.push({
+        kind: definition.kind,
+        name: definition.name && definition.name.value,
+        line: start + 1,
+        source: origin && { file: origin.file, line: origin.line, column: origin.column },
+      });
+    }
+
+    return {
+      sdl: lines.join('\n'),
+      definitions,
+      sourceMap: SourceMapBuilder.toSourceMap(origins, file),
+    };
+  }
+  /**
+   * Encodes one segment per printed line, at column 0, pointing at the line's origin
+   * @param {*} origins
+   * @param {*} file
+   * @returns
+   */
+  static toSourceMap(origins, file) {
+    const sources = [];
+    const sourcesContent = [];
+    const mappings = [];
+    let previous = { source: 0, line: 0, column: 0 };
+
+    for (const origin of origins) {
+      if (!origin) {
+        mappings.push('');
+        continue;
+      }
+
+      let source = sources.indexOf(origin.file);
+
+      if (source === -1) {
+        source = sources.push(origin.file) - 1;
+        sourcesContent.push(origin.source.body);
+      }
+
+      const current = { source, line: origin.line - 1, column: origin.column - 1 };
+
+      mappings.push(
+        SourceMapBuilder.encodeVLQ(0) +
+          SourceMapBuilder.encodeVLQ(current.source - previous.source) +
+          SourceMapBuilder.encodeVLQ(current.line - previous.line) +
+          SourceMapBuilder.encodeVLQ(current.column - previous.column),
+      );
+
+      previous = current;
+    }
+
+    return {
+      version: 3,
+      file,
+      sources,
+      sourcesContent,
+      names: [],
+      mappings: mappings.join(';'),
+    };
+  }
+}
+
+module.exports = { SourceMapBuilder };
@@ -0,0 +1,42 @@
+import { createRequire } from 'module';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const require = createRequire(import.meta.url);
+const { GraphQLFileLoader, GraphQLModuleCompiler } = require('./index.js');
+
+let extensions = ['.graphql', '.gql'];
+let compiler = new GraphQLModuleCompiler(new GraphQLFileLoader());
+
+/**
+ * Receives the options given to `register`
+ * @param {*} options
+ */
+export function initialize({ extensions: registered, output, collisions, ...loaderOptions } = {}) {
+  extensions = registered || extensions;
+  compiler = new GraphQLModuleCompiler(new GraphQLFileLoader(loaderOptions), {
+    output,
+    collisions,
+  });
+}
+
+/**
+ * Loads graphql files as ES modules, leaving other files to the next hook
+ * @param {*} url
+ * @param {*} context
+ * @param {*} nextLoad
+ * @returns
+ */
+export async function load(url, context, nextLoad) {
+  if (!url.startsWith('file:') || !extensions.includes(path.extname(fileURLToPath(url)))) {
+    return nextLoad(url, context);
+  }
+
+  const { code, error } = await compiler.compile(fileURLToPath(url));
+
+  if (error) {
+    throw error;
+  }
+
+  return { format: 'module', source: code, shortCircuit: true };
+}
@@ -0,0 +1,62 @@
+'use strict';
+
+const nodeModule = require('module');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { GraphQLFileLoader, GraphQLModuleCompiler } = require('./index');
+
+/**
+ * Tells `node --watch` about files other than the one required, so it restarts when they change
+ * @param {*} files
+ */
+function reportToWatchMode(files) {
+  if (process.env.WATCH_REPORT_DEPENDENCIES && process.send) {
+    process.send({ 'watch:require': files });
+  }
+}
+
+/**
+ * Lets Node require and import graphql files, resolving their imports. Imports go through a
+ * module hook, which runs on another thread and so can't use a custom `sourceProvider`.
+ * @param {*} options `extensions` of the files to compile, `output`, 'sdl' or 'document',
+ * `collisions` and the options of GraphQLFileLoader
+ */
+function register({
+  extensions = ['.graphql', '.gql'],
+  output,
+  collisions,
+  ...loaderOptions
+} = {}) {
+  const compiler = new GraphQLModuleCompiler(new GraphQLFileLoader(loaderOptions), {
+    output,
+    format: 'commonjs',
+    collisions,
+  });
+
+  for (const extension of extensions) {
+    require.extensions[extension] = (module, fileName) => {
+      //A file required again after being deleted from the require cache may have changed
+      compiler.reset();
+
+      const { code, files, error } = compiler.compileSync(fileName);
+
+      reportToWatchMode(files.filter((file) => file !== fileName));
+
+      if (error) {
+        throw error;
+      }
+
+      module._compile(code, fileName);
+    };
+  }
+
+  if (nodeModule.register) {
+    const { sourceProvider, ...transferable } = loaderOptions;
+
+    nodeModule.register(pathToFileURL(path.join(__dirname, 'loader.mjs')), {
+      data: { extensions, output, collisions, ...transferable },
+    });
+  }
+}
+
+module.exports = { register };
@@ -0,0 +1,5 @@
+'use strict';
+
+//Registers the require and import hooks with the default options, for
+//`node --require graphql-import/register` or `node --import graphql-import/register`
+require('./node').register();
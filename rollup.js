@@ -0,0 +1,49 @@
+'use strict';
+
+const path = require('path');
+const { GraphQLFileLoader, GraphQLModuleCompiler } = require('./index');
+
+/**
+ * A Rollup plugin for graphql files, which also works in Vite. It resolves their imports and
+ * watches every imported file.
+ * @param {*} options `extensions` of the files to compile, `output`, 'sdl' or 'document',
+ * `collisions` and the options of GraphQLFileLoader
+ * @returns
+ */
+module.exports = function graphqlImport({
+  extensions = ['.graphql', '.gql'],
+  output,
+  collisions,
+  ...loaderOptions
+} = {}) {
+  const compiler = new GraphQLModuleCompiler(new GraphQLFileLoader(loaderOptions), {
+    output,
+    collisions,
+  });
+
+  return {
+    name: 'graphql-import',
+    async transform(code, id) {
+      //Ids with a query, like Vite's `?raw`, are left to other plugins
+      if (id.includes('?') || !extensions.includes(path.extname(id))) {
+        return null;
+      }
+
+      const compiled = await compiler.compile(id);
+
+      for (const file of compiled.files) {
+        if (file !== id) {
+          this.addWatchFile(file);
+        }
+      }
+      if (compiled.error) {
+        this.error(compiled.error);
+      }
+
+      return { code: compiled.code, map: { mappings: '' } };
+    },
+    watchChange(id) {
+      compiler.evict(id);
+    },
+  };
+};
@@ -1,11 +1,12 @@
 'use strict';
 
 const fs = require('fs/promises');
+const os = require('os');
 const path = require('path');
 const test = require('tape');
 const loaders = require('..');
 const graphql = require('graphql');
-const { loadSchema } = require('@graphql-tools/load');
+const { loadSchema, loadTypedefs, loadTypedefsSync } = require('@graphql-tools/load');
 
 const loadFile = async function (fileName) {
   return (await fs.readFile(path.resolve(__dirname, fileName))).toString().trim();
@@ -75,15 +76,117 @@ test('test circular', async (t) => {
   t.end();
 });
 
-test.skip('test collision', async (t) => {
+test('test collision', async (t) => {
   const loader = new loaders.GraphQLFileLoader();
 
-  const contents = await loader.loadFile(__dirname, 'fixtures/collision/a.graphql');
+  try {
+    await loader.loadFile(__dirname, 'fixtures/collision/a.graphql', { collisions: 'error' });
+    t.fail('expected a collision error');
+  } catch (error) {
+    t.equal(error.code, 'TYPE_COLLISION');
+    t.ok(error.message.includes(path.resolve(__dirname, 'fixtures/collision/b.graphql:1:1')));
+    t.ok(error.message.includes(path.resolve(__dirname, 'fixtures/collision/a.graphql:3:1')));
+  }
 
-  t.throws(() => {
-    graphql.validateSchema(graphql.buildSchema(contents));
+  t.end();
+});
+
+test('test collision policies', async (t) => {
+  const loader = new loaders.GraphQLFileLoader();
+  const load = (collisions) =>
+    loader.loadFile(__dirname, 'fixtures/collision/a.graphql', { collisions });
+
+  t.equal(await load('first-wins'), 'type A {\n  a: String\n  b: String\n}');
+  t.equal(await load('last-wins'), 'type A {\n  a: String\n}');
+  t.equal(await load('merge-fields'), 'type A {\n  a: String\n  b: String\n}');
+  t.equal(await load('merge-roots'), 'type A {\n  a: String\n}', 'only root types are merged');
+
+  const warning = new Promise((resolve) => process.once('warning', resolve));
+
+  t.equal(await load('warn'), 'type A {\n  a: String\n}');
+  t.ok((await warning).message.includes('collides'));
+
+  try {
+    await load('unknown');
+    t.fail('expected an unknown policy error');
+  } catch (error) {
+    t.ok(error.message.includes('Unknown collision policy'));
+  }
+
+  t.end();
+});
+
+test('test merge-fields conflicts', (t) => {
+  const resolver = new loaders.DefinitionCollisionResolver('merge-fields');
+  const a = graphql.parse(new graphql.Source('type A { a: String }', 'a.graphql'));
+  const b = graphql.parse(new graphql.Source('type A { a: Int }', 'b.graphql'));
+
+  t.throws(
+    () => resolver.resolve([...a.definitions, ...b.definitions]),
+    /Conflicting "A.a": defined at a.graphql:1:10 and at b.graphql:1:10/,
+  );
+
+  t.end();
+});
+
+test('test merge root operation types', async (t) => {
+  const expected = await loadFile('fixtures/root-types/expected-merged.graphql');
+
+  const loader = new loaders.GraphQLFileLoader();
+
+  const contents = await loader.loadFile(__dirname, 'fixtures/root-types/a.graphql', {
+    collisions: 'merge-roots',
   });
 
+  t.equal(contents, expected);
+  t.deepEqual(graphql.validateSchema(graphql.buildSchema(contents)), []);
+
+  t.equal(
+    await loader.loadFile(__dirname, 'fixtures/root-types/a.graphql', {
+      collisions: 'merge-fields',
+    }),
+    expected,
+  );
+
+  t.end();
+});
+
+test('test merge root operation type conflicts', (t) => {
+  const resolver = new loaders.DefinitionCollisionResolver('merge-roots');
+  const parse = (body, name) => graphql.parse(new graphql.Source(body, name)).definitions;
+
+  t.throws(
+    () =>
+      resolver.resolve([
+        ...parse('type Query { user: String }', 'a.graphql'),
+        ...parse('type Query { user: Int }', 'b.graphql'),
+      ]),
+    /Conflicting "Query.user": defined at a.graphql:1:14 and at b.graphql:1:14/,
+  );
+  t.throws(
+    () =>
+      resolver.resolve([
+        ...parse('schema { query: Query }', 'a.graphql'),
+        ...parse('extend schema { query: RootQuery }', 'b.graphql'),
+      ]),
+    /Conflicting "schema.query": defined at a.graphql:1:10 and at b.graphql:1:17/,
+  );
+
+  const resolved = resolver.resolve([
+    ...parse('schema { query: RootQuery }\ntype RootQuery { a: A }\ntype A { a: String }', 'a'),
+    ...parse('extend schema @link\ntype RootQuery { b: String }\ntype A { b: String }', 'b'),
+  ]);
+
+  t.equal(
+    graphql.print({ kind: graphql.Kind.DOCUMENT, definitions: resolved }),
+    [
+      'schema @link {\n  query: RootQuery\n}',
+      'type RootQuery {\n  a: A\n  b: String\n}',
+      'type A {\n  b: String\n}',
+    ].join('\n\n'),
+    'schema definitions are reconciled and only root types merged',
+  );
+
   t.end();
 });
 
@@ -231,6 +334,76 @@ test('test enums', async (t) => {
   t.end();
 });
 
+test('test directive definition arguments', async (t) => {
+  const expected = await loadFile('fixtures/directive-arguments/expected.graphql');
+
+  const loader = new loaders.GraphQLFileLoader();
+
+  const contents = await loader.loadFile(__dirname, 'fixtures/directive-arguments/a.graphql');
+
+  t.equal(contents, expected);
+
+  t.deepEqual(graphql.validateSchema(graphql.buildSchema(contents)), []);
+
+  t.end();
+});
+
+test('test interfaces implementing interfaces', async (t) => {
+  const expected = await loadFile('fixtures/interface-inheritance/expected.graphql');
+
+  const loader = new loaders.GraphQLFileLoader();
+
+  const contents = await loader.loadFile(__dirname, 'fixtures/interface-inheritance/a.graphql');
+
+  t.equal(contents, expected);
+
+  t.deepEqual(graphql.validateSchema(graphql.buildSchema(contents)), []);
+
+  t.end();
+});
+
+test('test input extensions', async (t) => {
+  const expected = await loadFile('fixtures/input-extensions/expected.graphql');
+
+  const loader = new loaders.GraphQLFileLoader();
+
+  const contents = await loader.loadFile(__dirname, 'fixtures/input-extensions/a.graphql');
+
+  t.equal(contents, expected);
+
+  t.deepEqual(graphql.validateSchema(graphql.buildSchema(contents)), []);
+
+  t.end();
+});
+
+test('test argument and input field directives', async (t) => {
+  const expected = await loadFile('fixtures/argument-directives/expected.graphql');
+
+  const loader = new loaders.GraphQLFileLoader();
+
+  const contents = await loader.loadFile(__dirname, 'fixtures/argument-directives/a.graphql');
+
+  t.equal(contents, expected);
+
+  t.deepEqual(graphql.validateSchema(graphql.buildSchema(contents)), []);
+
+  t.end();
+});
+
+test('test schema definition', async (t) => {
+  const expected = await loadFile('fixtures/schema-definition/expected.graphql');
+
+  const loader = new loaders.GraphQLFileLoader();
+
+  const contents = await loader.loadFile(__dirname, 'fixtures/schema-definition/a.graphql');
+
+  t.equal(contents, expected);
+
+  t.deepEqual(graphql.validateSchema(graphql.buildSchema(contents)), []);
+
+  t.end();
+});
+
 test('only imports at root file', async (t) => {
   const expected = await loadFile('fixtures/only-imports/expected.graphql');
 
@@ -247,6 +420,1703 @@ test('only imports at root file', async (t) => {
   t.end();
 });
 
+test('test fragments and operations', async (t) => {
+  const expected = await loadFile('fixtures/fragments/expected.graphql');
+  const schema = graphql.buildSchema(`
+    type Avatar { url: String, width: Int, height: Int }
+    type User { id: ID!, avatar: Avatar }
+    type Query { user(id: ID!): User }
+  `);
+
+  const loader = new loaders.GraphQLFileLoader();
+
+  const contents = await loader.loadFile(__dirname, 'fixtures/fragments/a.graphql');
+
+  t.equal(contents, expected);
+  t.deepEqual(graphql.validate(schema, graphql.parse(contents)), []);
+
+  t.end();
+});
+
+test('test fragments with anonymous operation', async (t) => {
+  const expected = await loadFile('fixtures/fragments/expected-anonymous.graphql');
+
+  const loader = new loaders.GraphQLFileLoader();
+
+  const contents = await loader.loadFile(__dirname, 'fixtures/fragments/anonymous.graphql');
+
+  t.equal(contents, expected);
+
+  t.end();
+});
+
+test('test source maps', async (t) => {
+  const expected = await loadFile('fixtures/extends/expected.graphql');
+
+  const loader = new loaders.GraphQLFileLoader();
+
+  const { sdl, definitions, sourceMap } = await loader.loadFile(
+    __dirname,
+    'fixtures/extends/a.graphql',
+    { sourceMap: true },
+  );
+
+  t.equal(sdl, expected);
+  t.deepEqual(definitions[1], {
+    kind: graphql.Kind.OBJECT_TYPE_EXTENSION,
+    name: 'B',
+    line: 5,
+    source: { file: path.resolve(__dirname, 'fixtures/extends/b.graphql'), line: 3, column: 1 },
+  });
+
+  //Decode the first segment of every line back into absolute positions
+  const base64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+  const position = [0, 0, 0, 0];
+  const lines = sourceMap.mappings.split(';').map((segment) => {
+    if (!segment) {
+      return undefined;
+    }
+    let value = 0;
+    let shift = 0;
+    let field = 0;
+    for (const char of segment) {
+      const digit = base64.indexOf(char);
+      value += (digit & 31) << shift;
+      shift += 5;
+      if (!(digit & 32)) {
+        position[field++] += value & 1 ? -(value >> 1) : value >> 1;
+        value = 0;
+        shift = 0;
+      }
+    }
+    return { file: sourceMap.sources[position[1]], line: position[2] + 1, column: position[3] + 1 };
+  });
+
+  t.equal(sourceMap.version, 3);
+  t.equal(lines.length, sdl.split('\n').length);
+  t.equal(sdl.split('\n')[21], '  a: String');
+  t.deepEqual(lines[21], {
+    file: path.resolve(__dirname, 'fixtures/extends/a.graphql'),
+    line: 4,
+    column: 3,
+  });
+  t.deepEqual(lines[6], {
+    file: path.resolve(__dirname, 'fixtures/extends/b.graphql'),
+    line: 3,
+    column: 1,
+  });
+  t.equal(lines[3], undefined);
+
+  t.end();
+});
+
+test('test import syntax error', async (t) => {
+  const loader = new loaders.GraphQLFileLoader();
+
+  try {
+    await loader.loadFile(__dirname, 'fixtures/errors/syntax.graphql');
+    t.fail('expected an import syntax error');
+  } catch (error) {
+    t.ok(error instanceof loaders.GraphQLImportError);
+    t.equal(error.code, 'IMPORT_SYNTAX');
+    t.equal(error.file, path.resolve(__dirname, 'fixtures/errors/syntax.graphql'));
+    t.equal(error.line, 1);
+    t.equal(error.column, 1);
+    t.equal(error.statement, '#import A b.graphql');
+  }
+
+  t.end();
+});
+
+test('test imported type not found', async (t) => {
+  const loader = new loaders.GraphQLFileLoader();
+
+  try {
+    await loader.loadFile(__dirname, 'fixtures/errors/missing-type.graphql');
+    t.fail('expected a type not found error');
+  } catch (error) {
+    t.equal(error.code, 'TYPE_NOT_FOUND');
+    t.equal(error.file, path.resolve(__dirname, 'fixtures/errors/missing-type.graphql'));
+    t.equal(error.statement, '#import UserImput from "types.graphql"');
+    t.ok(error.message.includes('did you mean "UserInput"'));
+  }
+
+  t.end();
+});
+
+test('test syntax error in an imported file', async (t) => {
+  const loader = new loaders.GraphQLFileLoader();
+
+  try {
+    await loader.loadFile(__dirname, 'fixtures/errors/imported-syntax.graphql');
+    t.fail('expected a graphql syntax error');
+  } catch (error) {
+    t.equal(error.code, 'GRAPHQL_SYNTAX');
+    t.equal(error.file, path.resolve(__dirname, 'fixtures/errors/broken-type.graphql'));
+    //Files are read trimmed, so the end of the file is on the last line with anything on it
+    t.equal(error.line, 2);
+    t.ok(error.cause instanceof graphql.GraphQLError);
+    t.ok(error.message.startsWith('Syntax Error: Expected Name, found <EOF>.'));
+  }
+
+  t.end();
+});
+
+test('test imported file not found', async (t) => {
+  const loader = new loaders.GraphQLFileLoader();
+
+  try {
+    await loader.loadFile(__dirname, 'fixtures/errors/chain.graphql');
+    t.fail('expected a file not found error');
+  } catch (error) {
+    t.equal(error.code, 'FILE_NOT_FOUND');
+    t.equal(error.file, path.resolve(__dirname, 'fixtures/errors/middle.graphql'));
+    t.equal(error.line, 1);
+    t.deepEqual(
+      error.chain,
+      ['chain.graphql', 'middle.graphql', 'missing.graphql'].map((file) =>
+        path.resolve(__dirname, 'fixtures/errors', file),
+      ),
+    );
+  }
+
+  t.end();
+});
+
+test('test watch', async (t) => {
+  t.timeoutAfter(10000);
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'graphql-import-'));
+  const write = (file, contents) => fs.writeFile(path.join(dir, file), contents);
+
+  await write('a.graphql', '#import B from "b.graphql"\n\ntype A {\n  b: B\n}\n');
+  await write('b.graphql', 'type B {\n  b: String\n}\n');
+  await write('c.graphql', 'type C {\n  c: String\n}\n');
+
+  const results = [];
+  const waiting = [];
+  const next = () =>
+    results.length ? results.shift() : new Promise((resolve) => waiting.push(resolve));
+
+  const loader = new loaders.GraphQLFileLoader();
+  const watcher = await loader.watch(
+    'a.graphql',
+    (error, result) => {
+      const value = { error, ...result };
+      waiting.length ? waiting.shift()(value) : results.push(value);
+    },
+    { cwd: dir, debounce: 20 },
+  );
+
+  try {
+    t.equal((await next()).sdl, 'type B {\n  b: String\n}\n\ntype A {\n  b: B\n}');
+    t.deepEqual(watcher.files.sort(), [path.join(dir, 'a.graphql'), path.join(dir, 'b.graphql')]);
+
+    await write('b.graphql', 'type B {\n  b: Int\n}\n');
+
+    t.equal((await next()).sdl, 'type B {\n  b: Int\n}\n\ntype A {\n  b: B\n}');
+
+    await write('a.graphql', '#import C from "c.graphql"\n\ntype A {\n  c: C\n}\n');
+
+    t.equal((await next()).sdl, 'type C {\n  c: String\n}\n\ntype A {\n  c: C\n}');
+    t.deepEqual(watcher.files.sort(), [path.join(dir, 'a.graphql'), path.join(dir, 'c.graphql')]);
+
+    await write('a.graphql', '#import D from "c.graphql"\n\ntype A {\n  d: D\n}\n');
+
+    t.equal((await next()).error.code, 'TYPE_NOT_FOUND');
+  } finally {
+    watcher.close();
+    await fs.rm(dir, { recursive: true });
+  }
+
+  t.end();
+});
+
+test('test the same renaming import in several files', async (t) => {
+  const sourceProvider = new loaders.MemorySourceProvider(
+    {
+      'account.graphql': 'type User {\n  id: ID\n}',
+      'a.graphql':
+        '#import User as AccountUser from "account.graphql"\n#import * as Acc from "account.graphql"\n#import B from "b.graphql"\n\ntype A {\n  user: AccountUser\n  accUser: AccUser\n  b: B\n}',
+      'b.graphql':
+        '#import User as AccountUser from "account.graphql"\n#import * as Acc from "account.graphql"\n\ntype B {\n  user: AccountUser\n  accUser: AccUser\n}',
+    },
+    { cwd: '/memory' },
+  );
+  const loader = new loaders.GraphQLFileLoader({ sourceProvider });
+
+  const contents = await loader.loadFile('/memory', 'a.graphql', { collisions: 'error' });
+
+  t.equal(contents.match(/type AccountUser /g).length, 1);
+  t.equal(contents.match(/type AccUser /g).length, 1);
+
+  t.end();
+});
+
+test('test watch recovers from a bad import', async (t) => {
+  t.timeoutAfter(10000);
+
+  const sourceProvider = new loaders.MemorySourceProvider(
+    {
+      'a.graphql': '#import User from "b.graphql"\n\ntype A {\n  user: User\n}',
+      'b.graphql': 'type Usr {\n  id: ID\n}',
+    },
+    { cwd: '/memory' },
+  );
+  const loader = new loaders.GraphQLFileLoader({ sourceProvider });
+  const results = [];
+  let waiting;
+  const next = () =>
+    results.length ? results.shift() : new Promise((resolve) => (waiting = resolve));
+  const watcher = await loader.watch(
+    'a.graphql',
+    (error, result) => {
+      const value = { error, ...result };
+
+      waiting ? (waiting(value), (waiting = undefined)) : results.push(value);
+    },
+    { cwd: '/memory', debounce: 10 },
+  );
+
+  try {
+    t.equal((await next()).error.code, 'TYPE_NOT_FOUND');
+    t.deepEqual(watcher.files.sort(), ['/memory/a.graphql', '/memory/b.graphql']);
+
+    sourceProvider.set('b.graphql', 'type User {\n  id: ID\n}');
+
+    t.equal((await next()).sdl, 'type User {\n  id: ID\n}\n\ntype A {\n  user: User\n}');
+  } finally {
+    watcher.close();
+  }
+
+  t.end();
+});
+
+test('test watch keeps going after the callback throws', async (t) => {
+  t.timeoutAfter(10000);
+
+  const sourceProvider = new loaders.MemorySourceProvider(
+    { 'a.graphql': 'type A {\n  a: String\n}' },
+    { cwd: '/memory' },
+  );
+  const loader = new loaders.GraphQLFileLoader({ sourceProvider });
+  const sdls = [];
+  const errors = [];
+  let waiting;
+  const next = () => new Promise((resolve) => (waiting = resolve));
+  const watcher = await loader.watch(
+    'a.graphql',
+    (error, { sdl }) => {
+      sdls.push(sdl);
+      waiting && waiting();
+
+      if (sdls.length === 2) {
+        throw new Error('callback failed');
+      }
+    },
+    { cwd: '/memory', debounce: 10, onError: (error) => errors.push(error.message) },
+  );
+
+  try {
+    let changed = next();
+
+    sourceProvider.set('a.graphql', 'type A {\n  a: Int\n}');
+    await changed;
+    changed = next();
+    sourceProvider.set('a.graphql', 'type A {\n  a: Float\n}');
+    await changed;
+
+    t.deepEqual(sdls, [
+      'type A {\n  a: String\n}',
+      'type A {\n  a: Int\n}',
+      'type A {\n  a: Float\n}',
+    ]);
+    t.deepEqual(errors, ['callback failed']);
+  } finally {
+    watcher.close();
+  }
+
+  t.end();
+});
+
+test('test command line', async (t) => {
+  const run = async (...argv) => {
+    const output = { stdout: '', stderr: '' };
+    const streams = {
+      stdout: { write: (chunk) => (output.stdout += chunk) },
+      stderr: { write: (chunk) => (output.stderr += chunk) },
+    };
+    const cli = new loaders.CommandLine(new loaders.GraphQLFileLoader(), streams);
+
+    output.code = await cli.run([...argv, '--cwd', __dirname]);
+
+    return output;
+  };
+
+  const bundled = await run('bundle', 'fixtures/complex-circle/a.graphql');
+
+  t.equal(bundled.code, 0);
+  t.equal(bundled.stdout, (await loadFile('fixtures/complex-circle/expected.graphql')) + '\n');
+
+  const checked = await run(
+    'check',
+    'fixtures/complex-circle/*.graphql',
+    '--ignore',
+    '**/expected.graphql',
+  );
+
+  t.equal(checked.code, 0);
+  t.equal(checked.stdout, 'Schema is valid\n');
+
+  const failed = await run('check', 'fixtures/errors/missing-type.graphql');
+
+  t.equal(failed.code, 1);
+  t.ok(failed.stderr.includes('did you mean "UserInput"'));
+
+  const introspection = await run(
+    'bundle',
+    'fixtures/complex-circle/a.graphql',
+    '--format',
+    'introspection',
+  );
+
+  t.equal(JSON.parse(introspection.stdout).__schema.queryType.name, 'Query');
+
+  const deps = await run('deps', 'fixtures/extends/a.graphql', '--format', 'json');
+
+  t.deepEqual(JSON.parse(deps.stdout), {
+    [path.join('fixtures', 'extends', 'a.graphql')]: [
+      { file: path.join('fixtures', 'extends', 'b.graphql'), types: ['B', 'U'] },
+    ],
+    [path.join('fixtures', 'extends', 'b.graphql')]: [
+      { file: path.join('fixtures', 'extends', 'c.graphql'), types: ['B', 'U'] },
+    ],
+    [path.join('fixtures', 'extends', 'c.graphql')]: [],
+  });
+
+  const dot = await run('deps', 'fixtures/extends/a.graphql', '--format', 'dot');
+
+  t.ok(dot.stdout.startsWith('digraph imports {'));
+  t.equal((await run('bundle', 'fixtures/extends/a.graphql', '--format', 'dot')).code, 1);
+
+  t.equal((await run('unknown', 'a.graphql')).code, 1);
+  t.equal((await run('bundle', 'a.graphql', '--format', 'xml')).code, 1);
+
+  t.end();
+});
+
+test('test package and alias imports', async (t) => {
+  const expected = await loadFile('fixtures/packages/expected.graphql');
+
+  const loader = new loaders.GraphQLFileLoader({
+    baseUrl: path.resolve(__dirname, 'fixtures/packages'),
+    paths: { '~common/*': ['missing/*', 'common/*'] },
+  });
+
+  const contents = await loader.loadFile(__dirname, 'fixtures/packages/a.graphql');
+
+  t.equal(contents, expected);
+
+  t.doesNotThrow(() => {
+    graphql.validateSchema(graphql.buildSchema(contents));
+  });
+
+  t.end();
+});
+
+test('test memory source provider', async (t) => {
+  const sourceProvider = new loaders.MemorySourceProvider(
+    {
+      'schema/a.graphql': '#import B from "b.graphql"\n\ntype Query {\n  b: B\n}',
+      'schema/b.graphql': 'type B {\n  b: String\n}\n\ntype Unused {\n  u: String\n}',
+      'other/c.graphql': 'type C {\n  c: String\n}',
+    },
+    { cwd: '/memory' },
+  );
+
+  const loader = new loaders.GraphQLFileLoader({ sourceProvider });
+
+  t.equal(
+    await loader.loadFile('/memory', 'schema/a.graphql'),
+    'type B {\n  b: String\n}\n\ntype Query {\n  b: B\n}',
+  );
+  t.deepEqual(await sourceProvider.glob('**/*.graphql', { cwd: '/memory/schema' }), [
+    'a.graphql',
+    'b.graphql',
+  ]);
+  t.deepEqual(await sourceProvider.glob('**/*.graphql', { cwd: '/memory', ignore: ['other/**'] }), [
+    'schema/a.graphql',
+    'schema/b.graphql',
+  ]);
+  t.equal((await loader.load('schema/a.graphql', { cwd: '/memory' })).length, 1);
+
+  try {
+    await loader.loadFile('/memory', 'schema/missing.graphql');
+    t.fail('expected a file not found error');
+  } catch (error) {
+    t.equal(error.code, 'FILE_NOT_FOUND');
+  }
+
+  t.end();
+});
+
+test('test package imports from a memory source provider', async (t) => {
+  const sourceProvider = new loaders.MemorySourceProvider(
+    {
+      'schema/a.graphql':
+        '#import DateTime from "@acme/common/scalars.graphql"\n' +
+        '#import Money from "@acme/common/types/money.graphql"\n' +
+        '#import Plain from "plain/plain.graphql"\n\n' +
+        'type Query {\n  now: DateTime\n  price: Money\n  plain: Plain\n}',
+      'node_modules/@acme/common/package.json': JSON.stringify({
+        name: '@acme/common',
+        exports: {
+          './scalars.graphql': { import: './esm.graphql', default: './src/scalars.graphql' },
+          './types/*': ['./src/types/*'],
+        },
+      }),
+      'node_modules/@acme/common/src/scalars.graphql': 'scalar DateTime',
+      'node_modules/@acme/common/src/types/money.graphql': 'scalar Money',
+      'node_modules/plain/plain.graphql': 'scalar Plain',
+    },
+    { cwd: '/memory' },
+  );
+  const loader = new loaders.GraphQLFileLoader({ sourceProvider });
+
+  t.equal(
+    await loader.loadFile('/memory', 'schema/a.graphql'),
+    'scalar DateTime\n\nscalar Money\n\nscalar Plain\n\n' +
+      'type Query {\n  now: DateTime\n  price: Money\n  plain: Plain\n}',
+  );
+
+  //A package's exports hide the files it doesn't export
+  sourceProvider.set(
+    'schema/b.graphql',
+    '#import DateTime from "@acme/common/src/scalars.graphql"',
+  );
+
+  try {
+    await loader.loadFile('/memory', 'schema/b.graphql');
+    t.fail('expected a file not found error');
+  } catch (error) {
+    t.equal(error.code, 'FILE_NOT_FOUND');
+  }
+
+  t.deepEqual(loaders.ImportPathResolver.parsePackageSpecifier('@acme/common/a.graphql'), {
+    name: '@acme/common',
+    subpath: './a.graphql',
+  });
+  t.equal(loaders.ImportPathResolver.parsePackageSpecifier('./a.graphql'), undefined);
+  t.equal(loaders.ImportPathResolver.resolveExports('./index.graphql', '.'), './index.graphql');
+  t.equal(
+    loaders.ImportPathResolver.resolveExports({ './a.graphql': null }, './a.graphql'),
+    undefined,
+  );
+
+  t.end();
+});
+
+test('test watch memory source provider', async (t) => {
+  t.timeoutAfter(5000);
+
+  const sourceProvider = new loaders.MemorySourceProvider(
+    { 'a.graphql': 'type Query {\n  a: String\n}' },
+    { cwd: '/memory' },
+  );
+  const loader = new loaders.GraphQLFileLoader({ sourceProvider });
+  const results = [];
+  let changed;
+
+  const watcher = await loader.watch(
+    'a.graphql',
+    (error, { sdl }) => {
+      results.push(sdl);
+      if (changed) {
+        changed();
+      }
+    },
+    { cwd: '/memory', debounce: 0 },
+  );
+
+  await new Promise((resolve) => {
+    changed = resolve;
+    sourceProvider.set('a.graphql', 'type Query {\n  a: Int\n}');
+  });
+
+  watcher.close();
+
+  t.deepEqual(results, ['type Query {\n  a: String\n}', 'type Query {\n  a: Int\n}']);
+
+  t.end();
+});
+
+test('test aliased and namespaced imports', async (t) => {
+  const expected = await loadFile('fixtures/aliases/expected.graphql');
+
+  const loader = new loaders.GraphQLFileLoader();
+
+  const contents = await loader.loadFile(__dirname, 'fixtures/aliases/a.graphql');
+
+  t.equal(contents, expected);
+
+  t.doesNotThrow(() => {
+    graphql.validateSchema(graphql.buildSchema(contents));
+  });
+
+  try {
+    await loader.loadFile(__dirname, 'fixtures/aliases/missing.graphql');
+    t.fail('expected a type not found error');
+  } catch (error) {
+    t.equal(error.code, 'TYPE_NOT_FOUND');
+    t.ok(error.message.includes('did you mean "User"'));
+  }
+
+  t.end();
+});
+
+test('test parse aliased import statements', (t) => {
+  const [statement, namespaced] = loaders.GraphQLFileLoader.parseImportStatements(
+    '/a.graphql',
+    '#import A, B as C from "b.graphql"\n#import * as D from "d.graphql"',
+  );
+
+  t.deepEqual(statement.types, ['A', 'B']);
+  t.deepEqual(statement.aliases, { B: 'C' });
+  t.equal(statement.namespace, undefined);
+  t.deepEqual(namespaced.types, ['*']);
+  t.equal(namespaced.namespace, 'D');
+
+  t.end();
+});
+
+test('test import statement syntax', async (t) => {
+  const expected = await loadFile('fixtures/import-syntax/expected.graphql');
+
+  const loader = new loaders.GraphQLFileLoader();
+
+  const contents = await loader.loadFile(__dirname, 'fixtures/import-syntax/a.graphql');
+
+  t.equal(contents, expected);
+
+  const [braced, shorthand] = loaders.GraphQLFileLoader.parseImportStatements(
+    '/a.graphql',
+    await loadFile('fixtures/import-syntax/a.graphql'),
+  );
+
+  t.deepEqual(braced.types, ['B', 'C']);
+  t.deepEqual(
+    [braced.line, braced.column, braced.endLine, braced.endColumn, braced.start, braced.end],
+    [1, 1, 4, 20, 0, 54],
+  );
+  t.equal(braced.statement, '#import {\n#  B,\n#  C, # the C type\n#} from "b.graphql"');
+  t.deepEqual(shorthand.types, ['*']);
+  t.equal(shorthand.fileName, '/d.graphql');
+  t.deepEqual([shorthand.line, shorthand.column], [5, 1]);
+
+  const parse = (contents) =>
+    loaders.GraphQLFileLoader.parseImportStatements('/a.graphql', contents);
+
+  t.deepEqual(
+    parse("type A {\n  a: String\n}\n\n  #import A,\n  #  B as C from 'b.graphql'").map(
+      ({ types, aliases, line, column }) => ({ types, aliases, line, column }),
+    ),
+    [{ types: ['A', 'B'], aliases: { B: 'C' }, line: 5, column: 3 }],
+  );
+  t.deepEqual(parse('# important\ntype A {\n  a: String # import A from "b.graphql"\n}'), []);
+
+  t.throws(
+    () => parse('#import {\n#  A,\n\ntype Query {\n  a: A\n}'),
+    (error) =>
+      error.code === 'IMPORT_SYNTAX' && error.line === 1 && error.statement === '#import {\n#  A,',
+  );
+  t.throws(
+    () => parse('#import A from "b.graphql" C'),
+    /Incorrect import syntax at \/a.graphql:1:1/,
+  );
+
+  t.end();
+});
+
+test('test field imports', async (t) => {
+  const expected = await loadFile('fixtures/field-imports/expected.graphql');
+
+  const loader = new loaders.GraphQLFileLoader();
+
+  const contents = await loader.loadFile(__dirname, 'fixtures/field-imports/a.graphql');
+
+  t.equal(contents, expected);
+  t.deepEqual(graphql.validateSchema(graphql.buildSchema(contents)), []);
+
+  const [statement] = loaders.GraphQLFileLoader.parseImportStatements(
+    '/a.graphql',
+    '#import Query.user, Mutation.* from "users.graphql"',
+  );
+
+  t.deepEqual(statement.types, ['Query.user', 'Mutation.*']);
+  t.throws(
+    () =>
+      loaders.GraphQLFileLoader.parseImportStatements(
+        '/a.graphql',
+        '#import Query.user as account from "users.graphql"',
+      ),
+    /Incorrect import syntax/,
+  );
+
+  const sourceProvider = new loaders.MemorySourceProvider(
+    {
+      'a.graphql': '#import Query.usr from "users.graphql"',
+      'users.graphql': await loadFile('fixtures/field-imports/users.graphql'),
+    },
+    { cwd: '/schema' },
+  );
+
+  try {
+    await new loaders.GraphQLFileLoader({ sourceProvider }).loadFile('/schema', 'a.graphql');
+    t.fail('expected a missing field error');
+  } catch (error) {
+    t.equal(error.code, 'TYPE_NOT_FOUND');
+    t.ok(error.message.includes('"Query.usr" is not defined'));
+    t.ok(error.message.includes('did you mean "Query.user"'));
+  }
+
+  t.end();
+});
+
+test('test sync loading matches async loading', async (t) => {
+  const fixtures = await fs.readdir(path.resolve(__dirname, 'fixtures'));
+
+  for (const fixture of fixtures) {
+    const entry = `fixtures/${fixture}/a.graphql`;
+    const loader = new loaders.GraphQLFileLoader();
+
+    let expected;
+
+    try {
+      expected = await new loaders.GraphQLFileLoader().loadFile(__dirname, entry);
+    } catch (error) {
+      t.throws(() => loader.loadFileSync(__dirname, entry), { message: error.message }, fixture);
+      continue;
+    }
+
+    t.equal(loader.loadFileSync(__dirname, entry), expected, fixture);
+    //The caches are shared between both
+    t.equal(await loader.loadFile(__dirname, entry), expected, fixture);
+  }
+
+  t.end();
+});
+
+test('test sync graphql tools loader', (t) => {
+  const loader = new loaders.GraphQLFileLoader();
+
+  const sources = loader.loadSync('fixtures/extends/*.graphql', {
+    cwd: __dirname,
+    ignore: ['*/**/expected.graphql'],
+  });
+
+  t.equal(sources.length, 3);
+  t.equal(sources[0].rawSDL, loader.loadFileSync(__dirname, 'fixtures/extends/a.graphql'));
+
+  try {
+    loader.loadFileSync(__dirname, 'fixtures/errors/chain.graphql');
+    t.fail('expected a file not found error');
+  } catch (error) {
+    t.equal(error.code, 'FILE_NOT_FOUND');
+  }
+
+  t.end();
+});
+
+test('test load document', async (t) => {
+  const expected = await loadFile('fixtures/extends/expected.graphql');
+
+  const loader = new loaders.GraphQLFileLoader();
+
+  const document = await loader.loadDocument('fixtures/extends/a.graphql', { cwd: __dirname });
+
+  t.equal(document.kind, graphql.Kind.DOCUMENT);
+  t.equal(graphql.print(document), expected);
+  t.equal(
+    document.definitions[0].loc.source.name,
+    path.resolve(__dirname, 'fixtures/extends/c.graphql'),
+  );
+  t.equal(
+    graphql.print(loader.loadDocumentSync('fixtures/extends/a.graphql', { cwd: __dirname })),
+    expected,
+  );
+
+  t.end();
+});
+
+test('test load schema', async (t) => {
+  const loader = new loaders.GraphQLFileLoader();
+
+  const schema = await loader.loadSchema('fixtures/complex-circle/a.graphql', { cwd: __dirname });
+
+  t.ok(schema instanceof graphql.GraphQLSchema);
+  t.equal(schema.getQueryType().name, 'Query');
+  t.ok(loader.loadSchemaSync('fixtures/complex-circle/a.graphql', { cwd: __dirname }));
+
+  try {
+    await loader.loadSchema('fixtures/extends/a.graphql', { cwd: __dirname });
+    t.fail('expected an invalid schema error');
+  } catch (error) {
+    t.equal(error.message, 'Query root type must be provided.');
+  }
+
+  const unvalidated = await loader.loadSchema('fixtures/extends/a.graphql', {
+    cwd: __dirname,
+    assumeValid: true,
+  });
+
+  t.equal(unvalidated.getQueryType(), undefined);
+
+  t.end();
+});
+
+test('test import graph', async (t) => {
+  const loader = new loaders.GraphQLFileLoader();
+  const fixture = (file) => path.resolve(__dirname, 'fixtures', file);
+
+  const circle = await loader.getImportGraph('fixtures/complex-circle/{a,b,c}.graphql', {
+    cwd: __dirname,
+    entries: 'fixtures/complex-circle/a.graphql',
+  });
+
+  t.deepEqual(circle.entries, [fixture('complex-circle/a.graphql')]);
+  t.deepEqual(
+    circle.importsOf(fixture('complex-circle/a.graphql')).map(({ to }) => to),
+    [fixture('complex-circle/b.graphql'), fixture('complex-circle/c.graphql')],
+  );
+  t.deepEqual(
+    circle.cycles().map((files) => [...files].sort()),
+    [['a', 'b', 'c'].map((name) => fixture(`complex-circle/${name}.graphql`))],
+  );
+  t.deepEqual(circle.orphans(), []);
+  t.deepEqual(circle.fanIn()[0], {
+    file: fixture('complex-circle/a.graphql'),
+    importers: [fixture('complex-circle/b.graphql'), fixture('complex-circle/c.graphql')],
+  });
+
+  const circular = loader.getImportGraphSync('fixtures/circular/a.graphql', { cwd: __dirname });
+
+  t.equal(circular.cycles().length, 1);
+  t.deepEqual(circular.entries, [], 'files in a cycle are all imported by another');
+
+  const unused = await loader.getImportGraph('fixtures/unused/{a,b}.graphql', {
+    cwd: __dirname,
+    entries: 'fixtures/unused/b.graphql',
+  });
+
+  t.deepEqual(unused.orphans(), [fixture('unused/a.graphql')]);
+  t.deepEqual(unused.cycles(), []);
+
+  const extended = await loader.getImportGraph('fixtures/extends/a.graphql', { cwd: __dirname });
+
+  t.deepEqual(extended.toJSON(), {
+    nodes: [
+      { file: path.join('fixtures', 'extends', 'a.graphql'), entry: true },
+      { file: path.join('fixtures', 'extends', 'b.graphql'), entry: false },
+      { file: path.join('fixtures', 'extends', 'c.graphql'), entry: false },
+    ],
+    edges: [
+      {
+        from: path.join('fixtures', 'extends', 'a.graphql'),
+        to: path.join('fixtures', 'extends', 'b.graphql'),
+        types: ['B', 'U'],
+        line: 1,
+        column: 1,
+      },
+      {
+        from: path.join('fixtures', 'extends', 'b.graphql'),
+        to: path.join('fixtures', 'extends', 'c.graphql'),
+        types: ['B', 'U'],
+        line: 1,
+        column: 1,
+      },
+    ],
+  });
+
+  const a = JSON.stringify(path.join('fixtures', 'extends', 'a.graphql'));
+  const b = JSON.stringify(path.join('fixtures', 'extends', 'b.graphql'));
+
+  t.ok(extended.toDOT().startsWith('digraph imports {'));
+  t.ok(extended.toDOT().includes(`  ${a} [style=bold];`));
+  t.ok(extended.toDOT().includes(`  ${a} -> ${b} [label="B, U"];`));
+
+  t.end();
+});
+
+test('test persistent cache', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'graphql-import-'));
+  const cacheDirectory = path.join(dir, '.cache');
+  const write = (file, contents) => fs.writeFile(path.join(dir, file), contents);
+  const cachedFiles = async () => {
+    const files = [];
+
+    for (const namespace of await fs.readdir(cacheDirectory)) {
+      for (const file of await fs.readdir(path.join(cacheDirectory, namespace))) {
+        const { mtimeMs } = await fs.stat(path.join(cacheDirectory, namespace, file));
+
+        files.push(`${namespace}/${file}@${mtimeMs}`);
+      }
+    }
+    return files.sort();
+  };
+
+  await write('a.graphql', '#import B from "b.graphql"\n\ntype A {\n  b: B\n}\n');
+  await write('b.graphql', 'type B {\n  b: String\n}\n');
+
+  try {
+    const sdl = await new loaders.GraphQLFileLoader({ cacheDirectory }).loadFile(dir, 'a.graphql');
+
+    t.equal(sdl, 'type B {\n  b: String\n}\n\ntype A {\n  b: B\n}');
+
+    const written = await cachedFiles();
+
+    t.equal(written.filter((file) => file.startsWith('documents/')).length, 2);
+    t.equal(written.filter((file) => file.startsWith('dependencies/')).length, 1);
+
+    //A new loader is served from the cache, with locations pointing at the original files
+    const cached = new loaders.GraphQLFileLoader({ cacheDirectory });
+    const { sdl: cachedSdl, definitions } = cached.loadFileSync(dir, 'a.graphql', {
+      sourceMap: true,
+    });
+
+    t.equal(cachedSdl, sdl);
+    t.deepEqual(definitions[0].source, { file: path.join(dir, 'b.graphql'), line: 1, column: 1 });
+    t.deepEqual(await cachedFiles(), written, 'nothing is written on a cache hit');
+
+    //Changing a file in the dependency chain invalidates the entries depending on it
+    await write('b.graphql', '#import C from "c.graphql"\n\ntype B {\n  c: C\n}\n');
+    await write('c.graphql', 'type C {\n  c: String\n}\n');
+
+    t.equal(
+      await new loaders.GraphQLFileLoader({ cacheDirectory }).loadFile(dir, 'a.graphql'),
+      'type C {\n  c: String\n}\n\ntype B {\n  c: C\n}\n\ntype A {\n  b: B\n}',
+    );
+
+    //A file resolved through an alias changes when an earlier candidate is created
+    const aliased = () =>
+      new loaders.GraphQLFileLoader({
+        cacheDirectory,
+        baseUrl: dir,
+        paths: { '~lib/*': ['one/*', 'two/*'] },
+      }).loadFile(dir, 'd.graphql');
+
+    await write('d.graphql', '#import X from "~lib/x.graphql"\n\ntype D {\n  x: X\n}\n');
+    await fs.mkdir(path.join(dir, 'one'));
+    await fs.mkdir(path.join(dir, 'two'));
+    await write('two/x.graphql', 'type X {\n  two: String\n}\n');
+
+    t.equal(await aliased(), 'type X {\n  two: String\n}\n\ntype D {\n  x: X\n}');
+
+    await write('one/x.graphql', 'type X {\n  one: String\n}\n');
+
+    t.equal(await aliased(), 'type X {\n  one: String\n}\n\ntype D {\n  x: X\n}');
+
+    new loaders.PersistentCache(cacheDirectory).clear();
+
+    t.equal(
+      (await fs.readdir(dir)).sort().join(),
+      'a.graphql,b.graphql,c.graphql,d.graphql,one,two',
+      'clearing removes the cache directory',
+    );
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  t.end();
+});
+
+test('test concurrent loading', async (t) => {
+  const reads = new Map();
+  let reading = 0;
+  let mostReading = 0;
+
+  class SlowSourceProvider extends loaders.DiskSourceProvider {
+    async read(fileName) {
+      reads.set(fileName, (reads.get(fileName) || 0) + 1);
+      reading++;
+      mostReading = Math.max(mostReading, reading);
+      //Finish reads in a different order than they started
+      await new Promise((resolve) => setTimeout(resolve, Math.random() * 5));
+      reading--;
+      return super.read(fileName);
+    }
+  }
+
+  const fixtures = await fs.readdir(path.resolve(__dirname, 'fixtures'));
+
+  for (const fixture of fixtures) {
+    const entry = `fixtures/${fixture}/a.graphql`;
+    const loader = new loaders.GraphQLFileLoader({
+      sourceProvider: new SlowSourceProvider(),
+      concurrency: 2,
+    });
+
+    let expected;
+
+    try {
+      expected = await new loaders.GraphQLFileLoader().loadFile(__dirname, entry);
+    } catch (error) {
+      await loader.loadFile(__dirname, entry).then(
+        () => t.fail(fixture),
+        (slowError) => t.equal(slowError.message, error.message, fixture),
+      );
+      continue;
+    }
+
+    t.equal(await loader.loadFile(__dirname, entry), expected, fixture);
+  }
+
+  t.ok(mostReading <= 2, 'reads are limited to the concurrency');
+
+  reads.clear();
+  mostReading = 0;
+
+  const loader = new loaders.GraphQLFileLoader({ sourceProvider: new SlowSourceProvider() });
+  const sources = await loader.loadAllContent('fixtures/complex-circle/{a,b,c}.graphql', {
+    cwd: __dirname,
+  });
+
+  t.equal(sources.length, 3);
+  t.ok(mostReading > 1, 'files are read concurrently');
+  t.deepEqual([...new Set(reads.values())], [1], 'every file is read once');
+
+  for (const concurrency of [0, -1, 1.5, NaN, '2']) {
+    t.throws(
+      () => new loaders.GraphQLFileLoader({ concurrency }),
+      /Invalid concurrency/,
+      `concurrency ${concurrency}`,
+    );
+  }
+
+  t.end();
+});
+
+test('test bundle', async (t) => {
+  const expected = await loadFile('fixtures/bundle/expected.graphql');
+  const fixture = (file) => path.resolve(__dirname, 'fixtures/bundle', file);
+
+  const loader = new loaders.GraphQLFileLoader();
+
+  const { document, sdl, pulledInBy } = await loader.bundle('fixtures/bundle/{a,b}.graphql', {
+    cwd: __dirname,
+  });
+
+  t.equal(sdl, expected);
+  t.equal(graphql.print(document), expected);
+  t.deepEqual(graphql.validateSchema(graphql.buildASTSchema(document)), []);
+
+  t.deepEqual(pulledInBy, {
+    Node: [fixture('a.graphql'), fixture('b.graphql')],
+    DateTime: [fixture('a.graphql'), fixture('b.graphql')],
+    User: [fixture('a.graphql')],
+    Query: [fixture('a.graphql'), fixture('b.graphql')],
+    Post: [fixture('b.graphql')],
+  });
+
+  t.equal(loader.bundleSync('fixtures/bundle/{a,b}.graphql', { cwd: __dirname }).sdl, expected);
+
+  //Each entry loaded on its own carries a copy of the shared types
+  const sources = await loader.loadAllContent('fixtures/bundle/{a,b}.graphql', { cwd: __dirname });
+
+  t.equal(sources.filter((source) => source.includes('scalar DateTime')).length, 2);
+
+  t.end();
+});
+
+const evaluateModule = function (code) {
+  const module = { exports: {} };
+
+  new Function('module', 'exports', 'require', code)(module, module.exports, require);
+
+  return module.exports;
+};
+
+test('test module compiler files when loading fails', async (t) => {
+  const sourceProvider = new loaders.MemorySourceProvider(
+    {
+      'a.graphql':
+        '#import User from "b.graphql"\n#import Post from "c.graphql"\n\ntype A {\n  user: User\n  post: Post\n}',
+      'b.graphql': 'type Usr {\n  id: ID\n}',
+      'c.graphql': 'type Post {\n  id: ID\n}',
+    },
+    { cwd: '/memory' },
+  );
+  const compiler = new loaders.GraphQLModuleCompiler(
+    new loaders.GraphQLFileLoader({ sourceProvider }),
+  );
+  const expected = ['/memory/a.graphql', '/memory/b.graphql', '/memory/c.graphql'];
+
+  const result = await compiler.compile('/memory/a.graphql');
+
+  t.equal(result.error.code, 'TYPE_NOT_FOUND');
+  t.deepEqual(result.files.sort(), expected);
+  t.deepEqual(compiler.compileSync('/memory/a.graphql').files.sort(), expected);
+
+  //Without an import graph, the files named by the error are still known
+  const missing = await compiler.compile('/memory/missing.graphql');
+
+  t.ok(missing.error);
+  t.deepEqual(missing.files, ['/memory/missing.graphql']);
+
+  t.end();
+});
+
+test('test module compiler', async (t) => {
+  const dir = path.resolve(__dirname, 'fixtures/bundlers');
+  const loader = new loaders.GraphQLFileLoader();
+  const expected = await loader.loadFile(dir, 'queries.graphql');
+  const compiler = new loaders.GraphQLModuleCompiler(loader, { output: 'document' });
+
+  const { code, files } = await compiler.compile(path.join(dir, 'queries.graphql'));
+
+  t.deepEqual(files, [
+    path.join(dir, 'queries.graphql'),
+    path.join(dir, 'fragments.graphql'),
+    path.join(dir, 'posts-fragments.graphql'),
+  ]);
+  t.equal(code, compiler.compileSync(path.join(dir, 'queries.graphql')).code);
+  t.notOk(code.includes('"loc"'));
+
+  t.throws(() => new loaders.GraphQLModuleCompiler(loader, { output: 'ast' }), /Unknown output/);
+
+  const exported = await import(`data:text/javascript,${encodeURIComponent(code)}`);
+
+  t.equal(graphql.print(exported.default), expected);
+  t.deepEqual(
+    exported.GetUser.definitions.map((definition) => definition.name.value),
+    ['GetUser', 'UserFields', 'PostFields'],
+  );
+  t.deepEqual(
+    exported.GetPosts.definitions.map((definition) => definition.name.value),
+    ['GetPosts'],
+  );
+
+  const broken = await compiler.compile(path.join(dir, 'broken.graphql'));
+
+  t.equal(broken.error.code, 'FILE_NOT_FOUND');
+  t.deepEqual(broken.files, [path.join(dir, 'broken.graphql'), path.join(dir, 'missing.graphql')]);
+
+  //An operation can be named like the module's own bindings
+  const named = new loaders.GraphQLFileLoader({
+    sourceProvider: new loaders.MemorySourceProvider(
+      { 'named.graphql': 'query document {\n  a\n}\n\nquery module {\n  b\n}' },
+      { cwd: '/memory' },
+    ),
+  });
+
+  for (const format of loaders.GraphQLModuleCompiler.formats) {
+    const namedCode = (
+      await new loaders.GraphQLModuleCompiler(named, { output: 'document', format }).compile(
+        '/memory/named.graphql',
+      )
+    ).code;
+    const namedExports =
+      format === 'esm'
+        ? await import(`data:text/javascript,${encodeURIComponent(namedCode)}`)
+        : evaluateModule(namedCode);
+
+    t.equal(namedExports.document.definitions[0].name.value, 'document', `${format} document`);
+    t.equal(namedExports.module.definitions[0].name.value, 'module', `${format} module`);
+  }
+
+  t.end();
+});
+
+test('test webpack loader', async (t) => {
+  const webpack = require('webpack');
+  const dir = path.resolve(__dirname, 'fixtures/bundlers');
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'graphql-import-'));
+  const expected = await new loaders.GraphQLFileLoader().loadFile(dir, 'schema.graphql');
+
+  const compile = (entry) =>
+    new Promise((resolve, reject) => {
+      webpack(
+        {
+          mode: 'none',
+          target: 'node',
+          context: dir,
+          entry: `./${entry}`,
+          output: { path: outputDir, filename: 'main.js', library: { type: 'commonjs2' } },
+          module: {
+            rules: [{ test: /\.graphql$/, loader: path.resolve(__dirname, '../webpack.js') }],
+          },
+        },
+        (error, stats) => (error ? reject(error) : resolve(stats)),
+      );
+    });
+
+  try {
+    const stats = await compile('schema.graphql');
+
+    t.notOk(stats.hasErrors());
+    t.ok(stats.compilation.fileDependencies.has(path.join(dir, 'types.graphql')));
+    t.ok(stats.compilation.fileDependencies.has(path.join(dir, 'posts.graphql')));
+    t.equal(require(path.join(outputDir, 'main.js')).default, expected);
+
+    const broken = await compile('broken.graphql');
+
+    t.ok(broken.hasErrors());
+    t.match(broken.compilation.errors[0].message, /Cannot find .*missing\.graphql/);
+    t.ok(broken.compilation.fileDependencies.has(path.join(dir, 'missing.graphql')));
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+
+  t.end();
+});
+
+test('test rollup plugin', async (t) => {
+  const { rollup } = require('rollup');
+  const graphqlImport = require('../rollup');
+  const dir = path.resolve(__dirname, 'fixtures/bundlers');
+  const expected = await new loaders.GraphQLFileLoader().loadFile(dir, 'schema.graphql');
+
+  const bundle = await rollup({
+    input: path.join(dir, 'schema.graphql'),
+    plugins: [graphqlImport()],
+  });
+  const { output } = await bundle.generate({ format: 'cjs', exports: 'named' });
+
+  await bundle.close();
+
+  t.ok(bundle.watchFiles.includes(path.join(dir, 'types.graphql')));
+  t.ok(bundle.watchFiles.includes(path.join(dir, 'posts.graphql')));
+  t.equal(evaluateModule(output[0].code).default, expected);
+
+  const documentBundle = await rollup({
+    input: path.join(dir, 'queries.graphql'),
+    plugins: [graphqlImport({ output: 'document' })],
+  });
+  const documentOutput = (await documentBundle.generate({ format: 'cjs', exports: 'named' }))
+    .output;
+
+  await documentBundle.close();
+
+  t.equal(evaluateModule(documentOutput[0].code).GetUser.kind, 'Document');
+
+  try {
+    await rollup({ input: path.join(dir, 'broken.graphql'), plugins: [graphqlImport()] });
+    t.fail('should not bundle');
+  } catch (error) {
+    t.equal(error.pluginCode, 'FILE_NOT_FOUND');
+    t.match(error.message, /Cannot find .*missing\.graphql/);
+  }
+
+  t.end();
+});
+
+test('test esbuild plugin', async (t) => {
+  const esbuild = require('esbuild');
+  const graphqlImport = require('../esbuild');
+  const dir = path.resolve(__dirname, 'fixtures/bundlers');
+  const expected = await new loaders.GraphQLFileLoader().loadFile(dir, 'queries.graphql');
+
+  const result = await esbuild.build({
+    entryPoints: [path.join(dir, 'queries.graphql')],
+    bundle: true,
+    write: false,
+    format: 'cjs',
+    logLevel: 'silent',
+    plugins: [graphqlImport({ output: 'document' })],
+  });
+  const exported = evaluateModule(result.outputFiles[0].text);
+
+  t.equal(graphql.print(exported.default), expected);
+  t.deepEqual(
+    exported.GetUser.definitions.map((definition) => definition.name.value),
+    ['GetUser', 'UserFields', 'PostFields'],
+  );
+
+  try {
+    await esbuild.build({
+      entryPoints: [path.join(dir, 'broken.graphql')],
+      bundle: true,
+      write: false,
+      logLevel: 'silent',
+      plugins: [graphqlImport()],
+    });
+    t.fail('should not bundle');
+  } catch (error) {
+    t.match(error.errors[0].text, /Cannot find .*missing\.graphql/);
+  }
+
+  //Watch files are handed to esbuild's watcher, which the build result doesn't expose
+  const schema = await new loaders.GraphQLFileLoader().loadFile(dir, 'schema.graphql');
+  const callbacks = {};
+
+  graphqlImport().setup({
+    onStart: (callback) => (callbacks.start = callback),
+    onLoad: (options, callback) => (callbacks.load = callback),
+  });
+  callbacks.start();
+
+  const { contents, watchFiles } = await callbacks.load({ path: path.join(dir, 'schema.graphql') });
+
+  t.equal(contents, `export default ${JSON.stringify(schema)};\n`);
+  t.deepEqual(watchFiles, [
+    path.join(dir, 'schema.graphql'),
+    path.join(dir, 'types.graphql'),
+    path.join(dir, 'posts.graphql'),
+  ]);
+
+  t.end();
+});
+
+test('test jest transform', async (t) => {
+  const { createTransformer } = require('../jest');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'graphql-import-'));
+  const entry = path.join(dir, 'queries.graphql');
+
+  try {
+    for (const name of ['queries', 'fragments', 'posts-fragments']) {
+      await fs.copyFile(
+        path.resolve(__dirname, `fixtures/bundlers/${name}.graphql`),
+        path.join(dir, `${name}.graphql`),
+      );
+    }
+
+    const transformer = createTransformer({ output: 'document' });
+    const source = await fs.readFile(entry, 'utf8');
+    const key = transformer.getCacheKey(source, entry, { configString: '{}' });
+
+    t.equal(transformer.getCacheKey(source, entry, { configString: '{}' }), key);
+
+    const { code } = transformer.process(source, entry);
+    const document = evaluateModule(code);
+
+    t.equal(graphql.print(document), await new loaders.GraphQLFileLoader().loadFile(dir, entry));
+    t.deepEqual(
+      document.GetUser.definitions.map((definition) => definition.name.value),
+      ['GetUser', 'UserFields', 'PostFields'],
+    );
+
+    //A change to a nested import changes the key of the file importing it
+    await fs.writeFile(
+      path.join(dir, 'posts-fragments.graphql'),
+      'fragment PostFields on Post {\n  id\n  title\n}\n',
+    );
+
+    t.notEqual(transformer.getCacheKey(source, entry, { configString: '{}' }), key);
+    t.match(
+      graphql.print(evaluateModule(transformer.process(source, entry).code)),
+      /fragment PostFields on Post {\n  id\n  title\n}/,
+    );
+
+    await fs.rm(path.join(dir, 'fragments.graphql'));
+
+    transformer.getCacheKey(source, entry, { configString: '{}' });
+
+    t.throws(() => transformer.process(source, entry), /Cannot find .*fragments\.graphql/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  t.end();
+});
+
+test('test require and import hooks', async (t) => {
+  const { spawn } = require('child_process');
+  const cwd = path.resolve(__dirname, 'fixtures/bundlers');
+  const register = path.resolve(__dirname, '../register.js');
+  const expected = await new loaders.GraphQLFileLoader().loadFile(cwd, 'schema.graphql');
+
+  const run = (args) =>
+    new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, args, {
+        cwd,
+        env: { ...process.env, WATCH_REPORT_DEPENDENCIES: '1' },
+        stdio: ['ignore', 'pipe', 'inherit', 'ipc'],
+        timeout: 30000,
+      });
+      const messages = [];
+      let stdout = '';
+
+      child.on('message', (message) => messages.push(message));
+      child.stdout.on('data', (data) => (stdout += data));
+      child.on('error', reject);
+      child.on('exit', (code) => resolve({ code, stdout, messages }));
+    });
+
+  const required = await run([
+    '--require',
+    register,
+    '-e',
+    "process.stdout.write(require('./schema.graphql')); process.disconnect()",
+  ]);
+
+  t.equal(required.code, 0);
+  t.equal(required.stdout, expected);
+  //Node reports every module it requires too
+  const reported = required.messages.flatMap((message) => message['watch:require'] || []);
+
+  t.ok(reported.includes(path.join(cwd, 'types.graphql')));
+  t.ok(reported.includes(path.join(cwd, 'posts.graphql')));
+
+  const imported = await run([
+    '--import',
+    register,
+    '--input-type=module',
+    '-e',
+    "import schema from './schema.graphql'; process.stdout.write(schema); process.disconnect()",
+  ]);
+
+  t.equal(imported.code, 0);
+  t.equal(imported.stdout, expected);
+
+  t.end();
+});
+
+test('test export visibility', async (t) => {
+  const expected = await loadFile('fixtures/exports/expected.graphql');
+  const dir = path.resolve(__dirname, 'fixtures/exports');
+
+  const loader = new loaders.GraphQLFileLoader();
+
+  const contents = await loader.loadFile(dir, 'a.graphql');
+
+  t.equal(contents, expected);
+  t.notOk(contents.includes('AuditLog'));
+
+  try {
+    await loader.loadFile(dir, 'private.graphql');
+    t.fail('should not import a private type');
+  } catch (error) {
+    t.equal(error.code, 'TYPE_NOT_EXPORTED');
+    t.ok(
+      error.message.startsWith(`"Profile" is not exported by ${path.join(dir, 'users.graphql')}`),
+    );
+    t.equal(error.line, 1);
+  }
+
+  try {
+    await loader.loadFile(dir, 'broken-export.graphql');
+    t.fail('should not export a missing type');
+  } catch (error) {
+    t.equal(error.code, 'TYPE_NOT_FOUND');
+    t.equal(error.file, path.join(dir, 'missing-export.graphql'));
+    t.ok(error.message.includes('did you mean "User"'));
+  }
+
+  const namespaced = await loader.loadFile(dir, 'namespace.graphql');
+
+  t.ok(namespaced.includes('type AccountsProfile'));
+  t.notOk(namespaced.includes('AuditLog'));
+
+  t.deepEqual(
+    loaders.ImportStatementParser.parseExports(
+      'a.graphql',
+      '#export A, B\n#export {\n#  C,\n#}\n',
+    ).map(({ names, line }) => ({ names, line })),
+    [
+      { names: ['A', 'B'], line: 1 },
+      { names: ['C'], line: 2 },
+    ],
+  );
+  t.throws(
+    () => loaders.ImportStatementParser.parseExports('a.graphql', '#export Query.user\n'),
+    (error) => error.code === 'IMPORT_SYNTAX' && error.message.includes('expected #export A, B'),
+  );
+
+  t.end();
+});
+
+test('test schema diff', async (t) => {
+  const loader = new loaders.GraphQLFileLoader();
+  const before = path.resolve(__dirname, 'fixtures/diff/before');
+  const after = path.resolve(__dirname, 'fixtures/diff/after');
+
+  const changes = await new loaders.SchemaDiff(
+    { loader, root: before },
+    { loader, root: after },
+  ).diff('schema.graphql');
+
+  t.deepEqual(
+    changes.map(({ severity, type, coordinate, file, line, column, side }) => ({
+      severity,
+      type,
+      coordinate,
+      location: `${side}/${file}:${line}:${column}`,
+    })),
+    [
+      {
+        severity: 'breaking',
+        type: 'FIELD_REMOVED',
+        coordinate: 'User.name',
+        location: 'before/users.graphql:8:3',
+      },
+      {
+        severity: 'dangerous',
+        type: 'VALUE_ADDED_TO_ENUM',
+        coordinate: 'Role.GUEST',
+        location: 'after/users.graphql:4:3',
+      },
+      {
+        severity: 'dangerous',
+        type: 'OPTIONAL_ARG_ADDED',
+        coordinate: 'Query.users',
+        location: 'after/schema.graphql:5:3',
+      },
+      {
+        severity: 'safe',
+        type: 'FIELD_ADDED',
+        coordinate: 'User.email',
+        location: 'after/users.graphql:10:3',
+      },
+    ],
+  );
+  t.equal(
+    loaders.SchemaDiff.format(changes).split('\n')[0],
+    'breaking FIELD_REMOVED User.name was removed. (users.graphql:8:3)',
+  );
+  t.deepEqual(
+    await new loaders.SchemaDiff({ loader, root: after }, { loader, root: after }).diff(
+      'schema.graphql',
+    ),
+    [],
+  );
+
+  t.end();
+});
+
+test('test schema diff against a git revision', async (t) => {
+  const { execFileSync } = require('child_process');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'graphql-import-'));
+  const link = `${dir}-link`;
+  const git = (...args) =>
+    execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], {
+      cwd: dir,
+      timeout: 30000,
+    });
+  const copy = async (side) => {
+    for (const name of ['schema.graphql', 'users.graphql']) {
+      await fs.copyFile(
+        path.resolve(__dirname, `fixtures/diff/${side}/${name}`),
+        path.join(dir, 'schema', name),
+      );
+    }
+  };
+
+  try {
+    await fs.mkdir(path.join(dir, 'schema'));
+    await copy('before');
+    git('init', '-q');
+    git('add', '.');
+    git('commit', '-q', '-m', 'before');
+    await copy('after');
+    //git resolves the symlinks of the repository it's run in
+    await fs.symlink(dir, link);
+
+    const provider = new loaders.GitSourceProvider({ revision: 'HEAD', cwd: link });
+    const schemaDir = path.join(link, 'schema');
+
+    t.ok(provider.exists(path.join(schemaDir, 'users.graphql')));
+    t.notOk(provider.exists(path.join(schemaDir, 'missing.graphql')));
+    t.deepEqual(provider.globSync('*.graphql', { cwd: schemaDir }), [
+      'schema.graphql',
+      'users.graphql',
+    ]);
+    t.equal(
+      await provider.read(path.join(schemaDir, 'users.graphql')),
+      await loadFile('fixtures/diff/before/users.graphql').then((contents) => contents + '\n'),
+    );
+
+    const stdout = { contents: '', write: (text) => (stdout.contents += text) };
+    const code = await new loaders.CommandLine(new loaders.GraphQLFileLoader(), {
+      stdout,
+      stderr: stdout,
+    }).run(['diff', 'schema/schema.graphql', '--base', 'HEAD', '--cwd', link]);
+
+    t.equal(code, 1);
+    t.equal(
+      stdout.contents.split('\n')[0],
+      `breaking FIELD_REMOVED User.name was removed. (${path.join('schema', 'users.graphql')}:8:3)`,
+    );
+  } finally {
+    await fs.rm(link, { force: true });
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  t.end();
+});
+
+test('test schema diff of a package import against a git revision', async (t) => {
+  const { execFileSync } = require('child_process');
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'graphql-import-'));
+  const git = (...args) =>
+    execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], {
+      cwd: dir,
+      timeout: 30000,
+    });
+  const schema = (field) =>
+    `#import DateTime from "@acme/graphql-common/scalars.graphql"\n\ntype Query {\n  ${field}\n}\n`;
+
+  try {
+    await fs.cp(
+      path.resolve(__dirname, 'fixtures/packages/node_modules'),
+      path.join(dir, 'node_modules'),
+      { recursive: true },
+    );
+    await fs.writeFile(path.join(dir, '.gitignore'), 'node_modules/\n');
+    await fs.writeFile(path.join(dir, 'schema.graphql'), schema('now: DateTime'));
+    git('init', '-q');
+    git('add', '.');
+    git('commit', '-q', '-m', 'before');
+    await fs.writeFile(path.join(dir, 'schema.graphql'), schema('today: DateTime'));
+
+    const provider = new loaders.GitSourceProvider({ revision: 'HEAD', cwd: dir });
+    const scalars = path.join(dir, 'node_modules/@acme/graphql-common/src/scalars.graphql');
+
+    t.ok(provider.exists(scalars));
+    t.equal(await provider.read(scalars), (await fs.readFile(scalars)).toString());
+    t.equal(provider.readSync(scalars), (await fs.readFile(scalars)).toString());
+    //Files that aren't ignored are only read from the revision
+    await fs.writeFile(path.join(dir, 'untracked.graphql'), 'scalar Untracked\n');
+    t.notOk(provider.exists(path.join(dir, 'untracked.graphql')));
+
+    const stdout = { contents: '', write: (text) => (stdout.contents += text) };
+    const code = await new loaders.CommandLine(new loaders.GraphQLFileLoader(), {
+      stdout,
+      stderr: stdout,
+    }).run(['diff', 'schema.graphql', '--base', 'HEAD', '--cwd', dir]);
+
+    t.equal(code, 1);
+    t.deepEqual(stdout.contents.trim().split('\n'), [
+      'breaking FIELD_REMOVED Query.now was removed. (schema.graphql:4:3)',
+      'safe FIELD_ADDED Query.today was added. (schema.graphql:4:3)',
+    ]);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  t.end();
+});
+
+test('test import linter', async (t) => {
+  const cwd = path.resolve(__dirname, 'fixtures/lint');
+  const linter = new loaders.ImportLinter(new loaders.GraphQLFileLoader());
+  const results = await linter.lint('*.graphql', { cwd, fix: true });
+  const summarize = (results) =>
+    results.map(({ file, problems }) => [
+      path.basename(file),
+      problems.map(({ rule, name, line, fixable }) => `${rule} ${name} ${line} ${fixable}`),
+    ]);
+
+  t.deepEqual(summarize(results), [
+    ['comments.graphql', ['narrowable-import * 1 true', 'unresolved-reference Tag 3 false']],
+    ['legacy.graphql', []],
+    [
+      'posts.graphql',
+      [
+        'unused-import Team 1 true',
+        'duplicate-import User 2 true',
+        'unresolved-reference DateTime 4 true',
+        'unresolved-reference Node 4 false',
+      ],
+    ],
+    ['schema.graphql', []],
+    ['types.graphql', []],
+  ]);
+  t.equal(
+    results[2].problems[3].message,
+    '"Node" is used by Post but not imported, it is defined in legacy.graphql, types.graphql',
+  );
+  t.deepEqual(
+    results.filter(({ output }) => output !== undefined).map(({ file }) => path.basename(file)),
+    ['comments.graphql', 'posts.graphql'],
+  );
+  t.equal(
+    results[0].output,
+    await loadFile('fixtures/lint/expected/comments.graphql').then((contents) => contents + '\n'),
+  );
+  t.equal(
+    results[2].output,
+    await loadFile('fixtures/lint/expected/posts.graphql').then((contents) => contents + '\n'),
+  );
+  t.deepEqual(summarize(linter.lintSync('*.graphql', { cwd })), summarize(results));
+
+  //Fixing the fixed files again changes nothing
+  const files = {};
+
+  for (const { file, output } of results) {
+    files[file] = output || (await fs.readFile(file)).toString();
+  }
+
+  const fixed = await new loaders.ImportLinter(
+    new loaders.GraphQLFileLoader({ sourceProvider: new loaders.MemorySourceProvider(files) }),
+  ).lint('*.graphql', { cwd, fix: true });
+
+  t.deepEqual(
+    fixed.flatMap(({ problems }) => problems.map(({ name }) => name)),
+    ['Tag', 'Node'],
+  );
+  t.ok(fixed.every(({ output }) => output === undefined));
+
+  t.end();
+});
+
+test('test lint command', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'graphql-import-'));
+  const stdout = { contents: '', write: (text) => (stdout.contents += text) };
+  const run = (...args) =>
+    new loaders.CommandLine(new loaders.GraphQLFileLoader(), { stdout, stderr: stdout }).run([
+      'lint',
+      '*.graphql',
+      '--cwd',
+      dir,
+      ...args,
+    ]);
+
+  try {
+    for (const name of ['types', 'legacy', 'posts', 'comments', 'schema']) {
+      await fs.copyFile(
+        path.resolve(__dirname, `fixtures/lint/${name}.graphql`),
+        path.join(dir, `${name}.graphql`),
+      );
+    }
+
+    t.equal(await run(), 1);
+    t.equal(stdout.contents.split('\n').length, 7);
+    t.equal(
+      stdout.contents.split('\n')[2],
+      'posts.graphql:1:1 unused-import "Team" is imported but never used',
+    );
+
+    stdout.contents = '';
+    t.equal(await run('--fix'), 1);
+    t.equal(
+      stdout.contents,
+      'comments.graphql:3:1 unresolved-reference "Tag" is used by Comment but not imported and ' +
+        'not defined in any linted file\n' +
+        'posts.graphql:4:1 unresolved-reference "Node" is used by Post but not imported, it is ' +
+        'defined in legacy.graphql, types.graphql\n',
+    );
+    t.equal(
+      (await fs.readFile(path.join(dir, 'posts.graphql'))).toString(),
+      (
+        await fs.readFile(path.resolve(__dirname, 'fixtures/lint/expected/posts.graphql'))
+      ).toString(),
+    );
+
+    await fs.writeFile(path.join(dir, 'posts.graphql'), 'type Post {\n  author: User\n}\n');
+    await fs.writeFile(path.join(dir, 'comments.graphql'), 'type Comment {\n  id: ID\n}\n');
+    stdout.contents = '';
+    t.equal(await run('--fix'), 0);
+    t.equal(stdout.contents, 'No problems\n');
+    t.equal(
+      (await fs.readFile(path.join(dir, 'posts.graphql'))).toString(),
+      '#import User from "types.graphql"\n\ntype Post {\n  author: User\n}\n',
+    );
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  t.end();
+});
+
 test('test graphql tools loader', async (t) => {
   const schema = await loadSchema('fixtures/extends/*.graphql', {
     cwd: __dirname,
@@ -261,3 +2131,105 @@ test('test graphql tools loader', async (t) => {
 
   t.end();
 });
+
+test('test graphql tools loader interface', async (t) => {
+  const loader = new loaders.GraphQLFileLoader();
+
+  t.ok(await loader.canLoad('fixtures/extends/a.graphql', { cwd: __dirname }));
+  t.ok(loader.canLoadSync(path.resolve(__dirname, 'fixtures/extends/a.graphql')));
+  t.ok(loader.canLoadSync('fixtures/**/*.{graphql,gql}', { cwd: __dirname }));
+  t.notOk(loader.canLoadSync('fixtures/extends/missing.graphql', { cwd: __dirname }));
+  t.notOk(loader.canLoadSync('test.js', { cwd: __dirname }));
+  t.notOk(loader.canLoadSync('**/*.js', { cwd: __dirname }));
+  t.deepEqual(await loader.load('test.js', { cwd: __dirname }), []);
+
+  const [source] = await loader.load('fixtures/extends/a.graphql', { cwd: __dirname });
+
+  t.equal(source.location, path.resolve(__dirname, 'fixtures/extends/a.graphql'));
+  t.equal(source.rawSDL, graphql.print(source.document));
+  t.equal(
+    source.document.definitions[0].loc.source.name,
+    path.resolve(__dirname, 'fixtures/extends/c.graphql'),
+  );
+
+  const [withoutLocations] = loader.loadSync('fixtures/extends/a.graphql', {
+    cwd: __dirname,
+    noLocation: true,
+  });
+
+  t.equal(withoutLocations.rawSDL, source.rawSDL);
+  t.notOk(JSON.stringify(withoutLocations.document).includes('"loc"'));
+
+  //Absolute pointers are matched by ignore patterns relative to cwd
+  const sources = await loader.load(path.resolve(__dirname, 'fixtures/extends/*.graphql'), {
+    cwd: __dirname,
+    ignore: ['*/**/expected.graphql'],
+  });
+
+  t.deepEqual(
+    sources.map(({ location }) => path.basename(location)),
+    ['a.graphql', 'b.graphql', 'c.graphql'],
+  );
+
+  try {
+    await loader.load('fixtures/errors/missing-type.graphql', { cwd: __dirname });
+    t.fail('should not load');
+  } catch (error) {
+    t.equal(error.code, 'TYPE_NOT_FOUND');
+  }
+
+  const [assumedValid] = await loader.load('fixtures/errors/missing-type.graphql', {
+    cwd: __dirname,
+    assumeValid: true,
+  });
+
+  t.match(assumedValid.rawSDL, /type Query/);
+
+  t.end();
+});
+
+test('test graphql tools loader with every fixture', async (t) => {
+  const fixtures = path.resolve(__dirname, 'fixtures');
+
+  for (const name of (await fs.readdir(fixtures)).sort()) {
+    const dir = path.join(fixtures, name);
+
+    if (!(await fs.readdir(dir)).includes('a.graphql')) {
+      continue;
+    }
+
+    const loader = new loaders.GraphQLFileLoader(
+      name === 'packages'
+        ? { baseUrl: dir, paths: { '~common/*': ['missing/*', 'common/*'] } }
+        : {},
+    );
+    const pointer = `fixtures/${name}/a.graphql`;
+    const expected = await loader.loadFile(__dirname, pointer);
+
+    const [source] = await loadTypedefs(pointer, { cwd: __dirname, loaders: [loader] });
+
+    t.equal(source.location, path.join(dir, 'a.graphql'), `${name} location`);
+    t.equal(graphql.print(source.document), expected, `${name} document`);
+
+    const [syncSource] = loadTypedefsSync(pointer, { cwd: __dirname, loaders: [loader] });
+
+    t.equal(graphql.print(syncSource.document), expected, `${name} sync document`);
+
+    //Documents with operations aren't schemas
+    const document = graphql.parse(expected);
+
+    if (
+      document.definitions.every((definition) => !graphql.isExecutableDefinitionNode(definition))
+    ) {
+      const schema = await loadSchema(pointer, { cwd: __dirname, loaders: [loader] });
+
+      t.equal(
+        graphql.printSchema(schema),
+        graphql.printSchema(graphql.buildASTSchema(document)),
+        `${name} schema`,
+      );
+    }
+  }
+
+  t.end();
+});
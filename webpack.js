@@ -0,0 +1,56 @@
+'use strict';
+
+const { GraphQLFileLoader, GraphQLModuleCompiler } = require('./index');
+
+const NAME = 'graphql-import';
+
+//A compiler per webpack compiler and options, so files are cached across modules and rebuilds
+const compilers = new WeakMap();
+
+function compilerFor(context, { output, collisions, ...loaderOptions }) {
+  const create = () =>
+    new GraphQLModuleCompiler(new GraphQLFileLoader(loaderOptions), { output, collisions });
+  const webpackCompiler = context._compiler;
+
+  if (!webpackCompiler) {
+    return create();
+  }
+  if (!compilers.has(webpackCompiler)) {
+    compilers.set(webpackCompiler, new Map());
+
+    //Changed files are evicted before each rebuild in watch mode
+    webpackCompiler.hooks.watchRun.tap(NAME, ({ modifiedFiles, removedFiles }) => {
+      for (const moduleCompiler of compilers.get(webpackCompiler).values()) {
+        for (const fileName of [...(modifiedFiles || []), ...(removedFiles || [])]) {
+          moduleCompiler.evict(fileName);
+        }
+      }
+    });
+  }
+
+  const byOptions = compilers.get(webpackCompiler);
+  const key = JSON.stringify({ output, collisions, ...loaderOptions });
+
+  if (!byOptions.has(key)) {
+    byOptions.set(key, create());
+  }
+
+  return byOptions.get(key);
+}
+
+/**
+ * A webpack loader for graphql files, which resolves their imports and adds every imported file
+ * as a dependency. Its options are `output`, 'sdl' or 'document', `collisions` and the options of
+ * GraphQLFileLoader.
+ */
+module.exports = function graphqlImportLoader() {
+  const callback = this.async();
+  const compiler = compilerFor(this, this.getOptions());
+
+  compiler.compile(this.resourcePath).then(({ code, files, error }) => {
+    for (const file of files) {
+      this.addDependency(file);
+    }
+    callback(error || null, code);
+  }, callback);
+};